@@ -0,0 +1,126 @@
+/**
+ * AI Worker
+ * Runs ChessAI off the main thread so the board, clocks and "thinking"
+ * indicator stay responsive during deep searches
+ *
+ * Messages in:  { type: 'search', id, position, level, options }
+ *               { type: 'analyze', id, position, options }
+ *               { type: 'evaluate', id, position }
+ *               { type: 'stop', id }
+ * Messages out: { type: 'info', id, info } after each completed search depth
+ *               { type: 'bestmove', id, move }
+ *               { type: 'analysis', id, lines }
+ *               { type: 'evaluation', id, score }
+ *               { type: 'error', id, message }
+ *
+ * position is { fen, chess960, variant, moves } with fen the game's starting
+ * position. Requests are answered in order. A running search cannot read
+ * messages, so the page stops one by terminating the worker, except for an
+ * analysis bounded only by options.movetime: that runs in short slices and
+ * a stop message ends it (with its deepest lines) between two of them. A
+ * stopped request that has not started is dropped without an answer.
+ */
+
+importScripts('chess-engine.js');
+
+const SLICE_MS = 250;
+
+const stopped = new Set();
+let queue = Promise.resolve();
+
+// Replays the game so the search sees earlier positions for repetitions
+function restorePosition(position) {
+  const chess = new ChessEngine.Chess(position.fen, {
+    chess960: position.chess960,
+    variant: position.variant
+  });
+  for (const move of position.moves) {
+    if (!chess.move(move)) throw new Error(`Illegal move ${move.from || '@'}${move.to} in position`);
+  }
+  return chess;
+}
+
+// Each slice searches one depth deeper than the deepest completed, and a
+// slice that runs out of time leaves its progress in the transposition
+// table for the next one to carry on from the same depth
+async function analyzeInSlices(chess, id, options) {
+  const start = Date.now();
+  let lines = [];
+  let nodes = 0;
+
+  while (!stopped.has(id)) {
+    const remaining = options.movetime - (Date.now() - start);
+    if (remaining <= 0) break;
+
+    const depth = lines.length > 0 ? lines[0].depth : 0;
+    let sliceNodes = 0;
+    const result = ChessAI.analyze(chess, {
+      ...options,
+      depth: depth + 1,
+      movetime: Math.min(SLICE_MS, remaining),
+      onIteration: info => {
+        sliceNodes = info.nodes;
+        if (info.depth > depth) {
+          self.postMessage({ type: 'info', id, info: { ...info, nodes: nodes + info.nodes, time: Date.now() - start } });
+        }
+      }
+    });
+    nodes += sliceNodes;
+    if (result.length === 0) break;
+    if (result[0].depth > depth) lines = result;
+
+    // Lets a stop message in
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  stopped.delete(id);
+  return lines;
+}
+
+async function handleRequest(data) {
+  const { type, id } = data;
+
+  try {
+    const chess = restorePosition(data.position);
+
+    if (type === 'search') {
+      const options = {
+        ...data.options,
+        onIteration: info => self.postMessage({ type: 'info', id, info })
+      };
+      const move = await ChessAI.getBestMove(chess, data.level, options);
+      self.postMessage({ type: 'bestmove', id, move });
+    } else if (type === 'analyze' && data.options.movetime && !data.options.depth) {
+      const lines = await analyzeInSlices(chess, id, data.options);
+      self.postMessage({ type: 'analysis', id, lines });
+    } else if (type === 'analyze') {
+      const options = {
+        ...data.options,
+        onIteration: info => self.postMessage({ type: 'info', id, info })
+      };
+      const lines = ChessAI.analyze(chess, options);
+      self.postMessage({ type: 'analysis', id, lines });
+    } else if (type === 'evaluate') {
+      const score = await ChessAI.getEvaluation(chess);
+      self.postMessage({ type: 'evaluation', id, score });
+    } else {
+      throw new Error(`Unknown message type ${type}`);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+}
+
+self.onmessage = event => {
+  const { type, id } = event.data;
+  if (type === 'stop') {
+    stopped.add(id);
+    return;
+  }
+
+  // A stop for a request that is already running unsliced comes too late
+  queue = queue.then(async () => {
+    if (stopped.delete(id)) return;
+    await handleRequest(event.data);
+    stopped.delete(id);
+  });
+};
@@ -6,6 +6,33 @@
 const App = (function() {
   const { Chess, COLORS, PIECE_UNICODE } = ChessEngine;
   
+  const PERSONALITY_ICONS = {
+    balanced: '⚖', attacker: '⚔', defender: '🛡', materialist: '💰', gambiteer: '🔥', grinder: '⏳'
+  };
+  const EVAL_SEARCH_MS = 5000; // how long the eval bar searches each position
+  const HINT_SEARCH_MS = 1500; // how long the engine looks for a hint
+  const THREAT_SEARCH_MS = 600; // how long the engine looks for the opponent's threat
+  // Game analysis searches every position to the same depth so that scores
+  // of consecutive positions compare fairly
+  const GAME_ANALYSIS_DEPTH = 4;
+  
+  // Board overlays, each switched by the setting of its key
+  const OVERLAYS = [
+    { key: 'showThreat', icon: '⚠', label: 'Show Opponent\'s Threat', chip: 'Threat' },
+    { key: 'showHanging', icon: '🎯', label: 'Show Hanging Pieces', chip: 'Hanging' },
+    { key: 'showControl', icon: '🗺', label: 'Show Square Control', chip: 'Control' }
+  ];
+  
+  // Verdicts of a game analysis, best first, with the NAG each exports as
+  const MOVE_CLASSES = {
+    best: { label: 'Best', symbol: '', nag: null },
+    good: { label: 'Good', symbol: '', nag: null },
+    inaccuracy: { label: 'Inaccuracy', symbol: '?!', nag: 6 },
+    mistake: { label: 'Mistake', symbol: '?', nag: 2 },
+    blunder: { label: 'Blunder', symbol: '??', nag: 4 },
+    'missed-win': { label: 'Missed win', symbol: '?', nag: 2 }
+  };
+  
   // App State
   let currentScreen = 'home';
   let gameState = null;
@@ -13,20 +40,29 @@ const App = (function() {
     side: 'w', // 'w', 'b', 'random'
     opponentType: 'AI', // 'AI', 'LOCAL'
     aiLevel: 3,
+    aiPersonality: 'balanced', // key of ChessAI.PERSONALITIES
+    variant: 'standard', // key of ChessEngine.VARIANTS
     timeControl: null, // null, { initial: ms, increment: ms }
-    showHints: true
+    showHints: true,
+    rated: false // rated AI games offer no hints
   };
   let selectedSquare = null;
+  let selectedDrop = null; // pocket piece type picked for a Crazyhouse drop
   let legalMoves = [];
   let isDragging = false;
   let draggedPiece = null;
   let savedGames = [];
+  let importReport = null;
   let reviewState = null;
   let clockInterval = null;
   let settings = {
     showCoordinates: true,
     flipBoard: false,
     soundEnabled: true,
+    ponder: true, // let the AI think on the player's time
+    showThreat: false, // board overlays for spotting tactics
+    showHanging: false,
+    showControl: false,
     theme: 'wood'
   };
   
@@ -159,16 +195,67 @@ const App = (function() {
           </div>
         </div>
         
+        <div class="config-section">
+          <div class="config-label">Variant</div>
+          <div class="config-options" data-config="variant">
+            <button class="config-option ${gameConfig.variant === 'standard' ? 'selected' : ''}"
+                    data-value="standard" onclick="App.setConfig('variant', 'standard')">
+              <div class="icon">♜</div>
+              <div class="label">Standard</div>
+            </button>
+            <button class="config-option ${gameConfig.variant === 'chess960' ? 'selected' : ''}"
+                    data-value="chess960" onclick="App.setConfig('variant', 'chess960')">
+              <div class="icon">🔀</div>
+              <div class="label">Chess960</div>
+              <div class="sublabel">Fischer Random</div>
+            </button>
+            <button class="config-option ${gameConfig.variant === 'kingOfTheHill' ? 'selected' : ''}"
+                    data-value="kingOfTheHill" onclick="App.setConfig('variant', 'kingOfTheHill')">
+              <div class="icon">⛰</div>
+              <div class="label">King of the Hill</div>
+              <div class="sublabel">Reach the centre</div>
+            </button>
+            <button class="config-option ${gameConfig.variant === 'threeCheck' ? 'selected' : ''}"
+                    data-value="threeCheck" onclick="App.setConfig('variant', 'threeCheck')">
+              <div class="icon">✚</div>
+              <div class="label">Three-check</div>
+              <div class="sublabel">Check 3 times</div>
+            </button>
+            <button class="config-option ${gameConfig.variant === 'crazyhouse' ? 'selected' : ''}"
+                    data-value="crazyhouse" onclick="App.setConfig('variant', 'crazyhouse')">
+              <div class="icon">♞</div>
+              <div class="label">Crazyhouse</div>
+              <div class="sublabel">Drop captures</div>
+            </button>
+          </div>
+        </div>
+        
         <div class="config-section ai-difficulty-section" style="${gameConfig.opponentType === 'AI' ? '' : 'display: none;'}">
           <div class="config-label">AI Difficulty</div>
           <div class="difficulty-slider">
             <div class="difficulty-header">
               <span>Level</span>
-              <span class="difficulty-value">${gameConfig.aiLevel}</span>
+              <span class="difficulty-value">${levelLabel(gameConfig.aiLevel)}</span>
             </div>
             <input type="range" min="1" max="8" value="${gameConfig.aiLevel}"
                    oninput="App.updateAILevel(parseInt(this.value))">
           </div>
+          <div class="config-label personality-label">Personality</div>
+          <div class="config-options" data-config="aiPersonality">
+            ${Object.entries(ChessAI.PERSONALITIES).map(([key, personality]) => `
+              <button class="config-option ${gameConfig.aiPersonality === key ? 'selected' : ''}"
+                      data-value="${key}" onclick="App.setConfig('aiPersonality', '${key}')">
+                <div class="icon">${PERSONALITY_ICONS[key]}</div>
+                <div class="label">${personality.name}</div>
+                <div class="sublabel">${personality.description}</div>
+              </button>
+            `).join('')}
+          </div>
+          <div class="toggle-row rated-row">
+            <span>Rated Game <span class="toggle-note">· no hints</span></span>
+            <div class="toggle ${gameConfig.rated ? 'active' : ''}" data-config="rated"
+                 onclick="App.toggleRated()"></div>
+          </div>
         </div>
         
         <div class="config-section">
@@ -231,7 +318,7 @@ const App = (function() {
         <div class="game-header">
           <button class="icon-btn" onclick="App.goHome()">←</button>
           <div class="game-status ${isPlayerTurn ? 'your-turn' : ''}">
-            ${chess.inCheck() ? '⚠ Check!' : (isPlayerTurn ? 'Your turn' : 'Opponent\'s turn')}
+            ${gameStatusText(isPlayerTurn)}
           </div>
           <div class="game-actions-top">
             <button class="icon-btn" onclick="App.toggleFlip()">🔄</button>
@@ -247,7 +334,8 @@ const App = (function() {
             </div>
             <div>
               <div class="player-name">${topColor === playerColor ? player : opponent}</div>
-              <div class="player-captured">${getCapturedPieces(chess, topColor === 'w' ? 'b' : 'w')}</div>
+              ${renderPlayerMaterial(chess, topColor)}
+              ${renderCheckCounter(chess, topColor)}
             </div>
           </div>
           ${clocks ? `<div class="clock ${clocks[topColor] < 30000 ? 'low-time' : ''}">${formatTime(clocks[topColor])}</div>` : ''}
@@ -261,6 +349,14 @@ const App = (function() {
           </div>
           <div class="chess-board" id="chess-board"></div>
         </div>
+        <div class="eval-info" id="eval-info"></div>
+        <div class="hint-reason" id="hint-reason">${renderHintReason()}</div>
+        <div class="overlay-toggles">
+          ${OVERLAYS.map(overlay => `
+            <button class="overlay-chip ${settings[overlay.key] ? 'active' : ''}" data-overlay="${overlay.key}"
+                    onclick="App.toggleOverlay('${overlay.key}')">${overlay.icon} ${overlay.chip}</button>
+          `).join('')}
+        </div>
         
         ${isAIThinking ? `
           <div class="ai-thinking">
@@ -277,7 +373,8 @@ const App = (function() {
             </div>
             <div>
               <div class="player-name">${bottomColor === playerColor ? player : opponent}</div>
-              <div class="player-captured">${getCapturedPieces(chess, bottomColor === 'w' ? 'b' : 'w')}</div>
+              ${renderPlayerMaterial(chess, bottomColor)}
+              ${renderCheckCounter(chess, bottomColor)}
             </div>
           </div>
           ${clocks ? `<div class="clock ${clocks[bottomColor] < 30000 ? 'low-time' : ''}">${formatTime(clocks[bottomColor])}</div>` : ''}
@@ -298,6 +395,12 @@ const App = (function() {
               <span>Undo</span>
             </button>
           ` : ''}
+          ${hintsAllowed() ? `
+            <button class="action-btn" id="hint-btn" onclick="App.showHint()">
+              <span class="icon">💡</span>
+              <span>${hintLabel()}</span>
+            </button>
+          ` : ''}
           <button class="action-btn" onclick="App.offerDraw()">
             <span class="icon">🤝</span>
             <span>Draw</span>
@@ -335,6 +438,11 @@ const App = (function() {
     const defaultFlip = playerColor === 'b';
     const flipBoard = settings.flipBoard ? !defaultFlip : defaultFlip;
     const kingInCheck = chess.inCheck() ? chess.findKing(chess.turn) : null;
+    const hillSquares = chess.variant.key === 'kingOfTheHill' ? ['d4', 'e4', 'd5', 'e5'] : [];
+    const hint = currentHint();
+    const threat = gameState.threat && gameState.threat.ply === chess.moveHistory.length ? gameState.threat : null;
+    const control = settings.showControl ? squareControl(chess) : null;
+    const exposed = settings.showHanging ? exposedPieces(chess) : null;
     
     let html = '';
     
@@ -347,6 +455,10 @@ const App = (function() {
         
         let classes = ['square', cell.isLight ? 'light' : 'dark'];
         
+        if (hillSquares.includes(square)) {
+          classes.push('hill');
+        }
+        
         // Highlight selected square
         if (selectedSquare === square) {
           classes.push('selected');
@@ -362,14 +474,33 @@ const App = (function() {
           classes.push('check');
         }
         
+        // The engine's suggestion, once the player asks for a hint
+        if (hint && square === (hint.line.move.from || hint.line.move.to)) {
+          classes.push('hint-square');
+        }
+        
         // Highlight legal moves
         const isLegalMove = legalMoves.some(m => m.to === square);
         if (isLegalMove && gameConfig.showHints) {
           classes.push(cell.piece ? 'legal-capture' : 'legal-move');
         }
         
+        if (exposed && exposed.has(square)) {
+          classes.push(exposed.get(square));
+        }
+        
         html += `<div class="${classes.join(' ')}" data-square="${square}">`;
         
+        // How many pieces of each side attack the square, tinted towards
+        // the side that controls it
+        if (control && (control[square].w || control[square].b)) {
+          const { w, b } = control[square];
+          const side = w > b ? 'white' : (b > w ? 'black' : 'contested');
+          const strength = Math.min(1, Math.abs(w - b) / 3);
+          html += `<span class="control-tint ${side}" style="opacity: ${0.15 + strength * 0.35}"></span>`;
+          html += `<span class="control-count"><span class="white">${w}</span><span class="black">${b}</span></span>`;
+        }
+        
         // Coordinates
         if (settings.showCoordinates) {
           if ((flipBoard ? displayCol === 7 : displayCol === 0)) {
@@ -391,9 +522,100 @@ const App = (function() {
       }
     }
     
+    const arrows = [];
+    if (threat && threat.move.from) {
+      arrows.push({ from: threat.move.from, to: threat.move.to, type: 'threat' });
+    }
+    if (hint && hint.stage === 2 && hint.line.move.from) {
+      arrows.push({ from: hint.line.move.from, to: hint.line.move.to, type: 'hint' });
+    }
+    if (arrows.length > 0) {
+      html += renderBoardArrows(arrows, flipBoard);
+    }
+    
     board.innerHTML = html;
   }
   
+  // An SVG layer over the board with an arrow for each { from, to, type };
+  // type becomes a class for its colour
+  function renderBoardArrows(arrows, flipBoard) {
+    const center = square => {
+      const col = square.charCodeAt(0) - 97;
+      const row = 8 - parseInt(square[1]);
+      return flipBoard ? { x: 7.5 - col, y: 7.5 - row } : { x: col + 0.5, y: row + 0.5 };
+    };
+    
+    const types = [...new Set(arrows.map(arrow => arrow.type))];
+    return `<svg class="board-arrows" viewBox="0 0 8 8">
+      <defs>
+        ${types.map(type => `
+          <marker id="arrow-head-${type}" viewBox="0 0 4 4" refX="2" refY="2" markerWidth="3" markerHeight="3" orient="auto">
+            <path class="board-arrow-head ${type}" d="M0,0 L4,2 L0,4 Z"/>
+          </marker>
+        `).join('')}
+      </defs>
+      ${arrows.map(({ from, to, type }) => {
+        const start = center(from);
+        const end = center(to);
+        // Stop short of the centre so the head doesn't cover the piece
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const shorten = Math.min(0.3, length / 2) / length;
+        const x2 = end.x - (end.x - start.x) * shorten;
+        const y2 = end.y - (end.y - start.y) * shorten;
+        return `<line class="board-arrow ${type}" x1="${start.x}" y1="${start.y}" x2="${x2}" y2="${y2}" marker-end="url(#arrow-head-${type})"/>`;
+      }).join('')}
+    </svg>`;
+  }
+  
+  // { [square]: { w, b } }: how many pieces of each side attack each square
+  function squareControl(chess) {
+    const control = {};
+    for (const row of chess.board2D()) {
+      for (const { square } of row) {
+        control[square] = {
+          w: chess.attackers(square, COLORS.WHITE).length,
+          b: chess.attackers(square, COLORS.BLACK).length
+        };
+      }
+    }
+    return control;
+  }
+  
+  // Map of square to 'hanging' for pieces the opponent can win as things
+  // stand, or 'undefended' for pieces nothing protects yet
+  function exposedPieces(chess) {
+    const exposed = new Map();
+    for (const row of chess.board2D()) {
+      for (const { square, piece } of row) {
+        if (piece && piece.type !== 'k' && chess.attackers(square, piece.color).length === 0) {
+          exposed.set(square, 'undefended');
+        }
+      }
+    }
+    for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+      for (const { square } of ChessAI.hangingPieces(chess, color)) {
+        exposed.set(square, 'hanging');
+      }
+    }
+    return exposed;
+  }
+  
+  function toggleOverlay(key) {
+    settings[key] = !settings[key];
+    saveSettings();
+    
+    const chip = document.querySelector(`[data-overlay="${key}"]`);
+    if (chip) chip.classList.toggle('active', settings[key]);
+    
+    // The threat needs a search, queued ahead of a new eval bar search;
+    // the other overlays only a redraw
+    if (key === 'showThreat') {
+      stopEvalSearch();
+      updateEvalBar();
+    }
+    renderBoard();
+  }
+  
   function setupBoardEvents() {
     const board = document.getElementById('chess-board');
     if (!board) return;
@@ -407,6 +629,12 @@ const App = (function() {
     board.addEventListener('dragover', handleDragOver);
     board.addEventListener('drop', handleDrop);
     board.addEventListener('dragend', handleDragEnd);
+    
+    // Crazyhouse pockets: pieces are dragged from here onto the board
+    document.querySelectorAll('.player-pocket').forEach(pocket => {
+      pocket.addEventListener('dragstart', handlePocketDragStart);
+      pocket.addEventListener('dragend', handleDragEnd);
+    });
   }
   
   function handleSquareClick(e) {
@@ -435,8 +663,8 @@ const App = (function() {
     
     if (!isPlayerTurn && gameConfig.opponentType === 'AI') return;
     
-    // If a square is already selected
-    if (selectedSquare) {
+    // If a square or pocket piece is already selected
+    if (selectedSquare || selectedDrop) {
       // Check if this is a legal move
       const move = legalMoves.find(m => m.to === square);
       if (move) {
@@ -446,16 +674,60 @@ const App = (function() {
     }
     
     // Select new square if it has a piece of current player
+    selectedDrop = null;
     if (piece && piece.color === chess.turn) {
       selectedSquare = square;
       legalMoves = chess.moves({ square });
-      renderBoard();
     } else {
       // Deselect
       selectedSquare = null;
       legalMoves = [];
-      renderBoard();
     }
+    renderBoard();
+    updatePockets();
+  }
+  
+  // Crazyhouse: pick a pocket piece, then a square to drop it on
+  function selectDropPiece(color, type) {
+    if (!canDrop(color)) return;
+    
+    if (selectedDrop === type) {
+      selectedDrop = null;
+      legalMoves = [];
+    } else {
+      selectedDrop = type;
+      legalMoves = gameState.chess.moves().filter(m => m.drop && m.piece === type);
+    }
+    selectedSquare = null;
+    renderBoard();
+    updatePockets();
+  }
+  
+  function canDrop(color) {
+    if (!gameState || gameState.result) return false;
+    const { chess, playerColor } = gameState;
+    const isPlayerTurn = chess.turn === playerColor || gameConfig.opponentType === 'LOCAL';
+    return isPlayerTurn && color === chess.turn;
+  }
+  
+  function handlePocketDragStart(e) {
+    const pieceEl = e.target.closest('.pocket-piece');
+    const color = e.currentTarget.dataset.color;
+    if (!pieceEl || !canDrop(color)) {
+      e.preventDefault();
+      return;
+    }
+    
+    const type = pieceEl.dataset.piece[1];
+    isDragging = true;
+    selectedSquare = null;
+    selectedDrop = type;
+    legalMoves = gameState.chess.moves().filter(m => m.drop && m.piece === type);
+    
+    e.dataTransfer.setData('text/plain', '@' + type);
+    e.dataTransfer.effectAllowed = 'move';
+    
+    setTimeout(() => renderBoard(), 0);
   }
   
   function handleDragStart(e) {
@@ -503,12 +775,16 @@ const App = (function() {
     const toSquare = squareEl.dataset.square;
     const fromSquare = e.dataTransfer.getData('text/plain');
     
-    const move = legalMoves.find(m => m.from === fromSquare && m.to === toSquare);
+    // Pocket drags carry "@" and the piece type instead of a square
+    const move = legalMoves.find(m =>
+      m.to === toSquare && (m.drop ? fromSquare === '@' + m.piece : m.from === fromSquare)
+    );
     if (move) {
       makeMove(move);
     } else {
       showToast('Invalid move', 'error');
       selectedSquare = null;
+      selectedDrop = null;
       legalMoves = [];
       renderBoard();
     }
@@ -519,6 +795,7 @@ const App = (function() {
   function handleDragEnd(e) {
     isDragging = false;
     selectedSquare = null;
+    selectedDrop = null;
     legalMoves = [];
     renderBoard();
   }
@@ -620,9 +897,8 @@ const App = (function() {
   async function executeMoveAndUpdate(move) {
     const { chess } = gameState;
     
-    // Check if it's a capture
-    const targetPiece = chess.get(move.to);
-    const isCapture = !!targetPiece;
+    // Check if it's a capture (Chess960 castling also targets an occupied square)
+    const isCapture = !!move.captured;
     
     // Animate the piece movement first
     await animatePieceMove(move.from, move.to, isCapture);
@@ -635,6 +911,7 @@ const App = (function() {
     
     gameState.lastMove = move;
     selectedSquare = null;
+    selectedDrop = null;
     legalMoves = [];
     
     // Check for game over
@@ -653,23 +930,34 @@ const App = (function() {
   }
   
   async function requestAIMove() {
-    if (!gameState || gameState.result) return;
+    if (!gameState || gameState.result || gameState.isAIThinking) return;
     
+    const gameId = gameState.id;
     gameState.isAIThinking = true;
     updateGameDisplay();
     
     try {
-      // Get best move from Stockfish (async)
-      const move = await ChessAI.getBestMove(gameState.chess, gameConfig.aiLevel);
+      // Play the pondered answer if the player made the expected reply,
+      // otherwise get the best move from the AI worker
+      const { chess } = gameState;
+      const pondered = claimPonder();
+      let move = pondered ? await pondered : null;
+      const ponderHit = !!move;
+      if (!move && gameState && gameState.id === gameId && gameState.isAIThinking) {
+        move = await askAI('search', chess, aiSearchParams(chess));
+      }
       
-      if (move && gameState && !gameState.result) {
+      // The search was stopped, or the game ended or was replaced meanwhile
+      if (!gameState || gameState.id !== gameId || !gameState.isAIThinking) return;
+      
+      if (move && !gameState.result) {
         gameState.isAIThinking = false;
+        gameState.ponderHit = ponderHit;
         // Re-render to remove "thinking" indicator before animation
         renderBoard();
         
         // Check if it's a capture
-        const targetPiece = gameState.chess.get(move.to);
-        const isCapture = !!targetPiece;
+        const isCapture = !!move.captured;
         
         // Animate the AI's piece movement
         await animatePieceMove(move.from, move.to, isCapture);
@@ -683,6 +971,7 @@ const App = (function() {
         }
         
         updateGameDisplay();
+        startPondering(move.ponder);
         return;
       }
     } catch (error) {
@@ -695,6 +984,99 @@ const App = (function() {
     }
   }
   
+  // Whose turn it is, noting when the AI's last move was ready from pondering
+  function gameStatusText(isPlayerTurn) {
+    if (gameState.chess.inCheck()) return '⚠ Check!';
+    if (!isPlayerTurn) return 'Opponent\'s turn';
+    return gameState.ponderHit ? 'Your turn · ⚡ Ponder hit' : 'Your turn';
+  }
+  
+  // ===== Hints =====
+  
+  // Hints are for games against the AI that aren't rated
+  function hintsAllowed() {
+    return gameConfig.opponentType === 'AI' && !gameState.metadata.rated;
+  }
+  
+  // The hint for the position on the board, once its search is done
+  function currentHint() {
+    const hint = gameState.hint;
+    return hint && hint.line && hint.ply === gameState.chess.moveHistory.length ? hint : null;
+  }
+  
+  function hintLabel() {
+    if (gameState.hint && !gameState.hint.line) return 'Hint…';
+    return gameState.hintsUsed > 0 ? `Hint (${gameState.hintsUsed})` : 'Hint';
+  }
+  
+  function renderHintReason() {
+    const hint = currentHint();
+    return hint && hint.stage === 2 ? `💡 ${hint.line.san}: ${hint.reason}` : '';
+  }
+  
+  // The first press marks the piece the engine would move, the second
+  // draws the move and says why. Each position hinted at counts once
+  async function showHint() {
+    if (!gameState || !hintsAllowed() || gameState.result || gameState.isAIThinking) return;
+    const { chess } = gameState;
+    if (chess.turn !== gameState.playerColor) return;
+    
+    const ply = chess.moveHistory.length;
+    if (gameState.hint && gameState.hint.ply === ply) {
+      if (gameState.hint.line) {
+        gameState.hint.stage = 2;
+        renderBoard();
+        updateHintLabels();
+      }
+      return;
+    }
+    
+    const hint = { ply, stage: 1, line: null, reason: null };
+    const gameId = gameState.id;
+    gameState.hint = hint;
+    renderBoard();
+    updateHintLabels();
+    
+    // The worker answers one request at a time, so pondering still running
+    // is given up rather than waited for; a finished one is kept for its hit
+    if (ponderState && !ponderState.done) {
+      ponderState = null;
+      cancelAIRequests();
+    }
+    
+    let lines = null;
+    try {
+      lines = await askAI('analyze', chess, { options: { movetime: HINT_SEARCH_MS } });
+    } catch (error) {
+      console.error('Hint error:', error);
+    }
+    
+    // Moved on, or the search was stopped, meanwhile
+    if (!gameState || gameState.id !== gameId || gameState.hint !== hint) return;
+    if (!lines || lines.length === 0 || chess.moveHistory.length !== ply) {
+      gameState.hint = null;
+      renderBoard();
+      updateHintLabels();
+      return;
+    }
+    
+    hint.line = lines[0];
+    hint.reason = ChessAI.explainMove(chess, hint.line);
+    gameState.hintsUsed++;
+    gameState.metadata.hints = gameState.hintsUsed;
+    gameState.metadata.tags.Hints = String(gameState.hintsUsed);
+    renderBoard();
+    updateHintLabels();
+  }
+  
+  // The hint's label and reason; the board draws the hint itself
+  function updateHintLabels() {
+    const reason = document.getElementById('hint-reason');
+    if (reason) reason.textContent = renderHintReason();
+    const label = document.querySelector('#hint-btn span:last-child');
+    if (label) label.textContent = hintLabel();
+  }
+  
   function updateGameDisplay() {
     renderBoard();
     
@@ -710,7 +1092,7 @@ const App = (function() {
     if (statusEl) {
       const isPlayerTurn = gameState.chess.turn === gameState.playerColor || gameConfig.opponentType === 'LOCAL';
       statusEl.className = `game-status ${isPlayerTurn ? 'your-turn' : ''}`;
-      statusEl.textContent = gameState.chess.inCheck() ? '⚠ Check!' : (isPlayerTurn ? 'Your turn' : 'Opponent\'s turn');
+      statusEl.textContent = gameStatusText(isPlayerTurn);
     }
     
     // Update active player highlight
@@ -721,67 +1103,233 @@ const App = (function() {
       el.classList.toggle('active', gameState.chess.turn === color);
     });
     
+    updatePockets();
+    updateHintLabels();
+    
+    // Update three-check counters
+    document.querySelectorAll('.player-checks').forEach(el => {
+      el.innerHTML = formatCheckCount(gameState.chess.checks[el.dataset.color]);
+    });
+    
     // Update evaluation bar
     updateEvalBar();
   }
   
-  async function updateEvalBar() {
-    if (!gameState || gameState.result) return;
+  // The bar follows a background search of the current position, streamed
+  // from its own worker so it never queues behind the AI's move. A new
+  // position stops the search of the old one, and none runs while the AI
+  // thinks so the AI's play does not depend on the CPU left over
+  function updateEvalBar() {
+    if (!gameState || gameState.result || gameState.isAIThinking || !document.getElementById('eval-bar')) {
+      stopEvalSearch();
+      return;
+    }
+    
+    // The same position again: the search carries on, or its last result is shown
+    const chess = gameState.chess;
+    const key = `${chess.moveHistory.length} ${chess.fen()}`;
+    if (evalSearch && evalSearch.key === key) {
+      if (evalSearch.info) showEvaluation(evalSearch.info, evalSearch.chess);
+      return;
+    }
+    
+    stopEvalSearch();
+    const worker = typeof Worker !== 'undefined' ? getEvalWorker() : null;
+    requestThreat(chess, worker);
+    const id = ++evalSearchId;
+    if (!worker) {
+      // Without workers a search would freeze the page: show the static score
+      askAI('evaluate', chess).then(score => {
+        if (score !== null && id === evalSearchId) showEvaluation({ score });
+      }, error => console.error('Eval error:', error));
+      return;
+    }
     
+    evalSearch = { id, key, chess: chess.copy(), info: null, running: true };
+    worker.postMessage({
+      type: 'analyze',
+      id,
+      position: serializePosition(chess),
+      options: { movetime: EVAL_SEARCH_MS }
+    });
+  }
+  
+  // With the threat overlay on, what the side not to move would play if it
+  // were their turn: searched ahead of the eval bar on the same worker, or
+  // shallowly on the main thread without workers. In games against the AI
+  // only the AI's threats are shown
+  function requestThreat(chess, worker) {
+    gameState.threat = null;
+    if (!settings.showThreat) return;
+    if (gameConfig.opponentType === 'AI' && chess.turn !== gameState.playerColor) return;
+    
+    const passed = ChessAI.passTurn(chess);
+    if (!passed || passed.isGameOver()) return;
+    
+    const id = ++evalSearchId;
+    threatSearch = { id, ply: chess.moveHistory.length };
+    if (!worker) {
+      askAI('analyze', passed, { options: { depth: 2 } }).then(lines => {
+        if (lines && threatSearch && threatSearch.id === id) showThreat(lines);
+      }, error => console.error('Threat error:', error));
+      return;
+    }
+    
+    worker.postMessage({
+      type: 'analyze',
+      id,
+      position: serializePosition(passed),
+      options: { movetime: THREAT_SEARCH_MS }
+    });
+  }
+  
+  function showThreat(lines) {
+    const { ply } = threatSearch;
+    threatSearch = null;
+    if (!gameState || lines.length === 0 || gameState.chess.moveHistory.length !== ply) return;
+    
+    gameState.threat = { ply, move: lines[0].move };
+    renderBoard();
+  }
+  
+  function getEvalWorker() {
+    if (evalWorker || aiWorkerUnavailable) return evalWorker;
+    try {
+      evalWorker = new Worker('ai-worker.js');
+    } catch (error) {
+      aiWorkerUnavailable = true;
+      return null;
+    }
+    evalWorker.onmessage = handleEvalWorkerMessage;
+    evalWorker.onerror = event => {
+      event.preventDefault();
+      console.error('Eval worker error:', event.message);
+      evalWorker.terminate();
+      evalWorker = null;
+      evalSearch = null;
+      threatSearch = null;
+    };
+    return evalWorker;
+  }
+  
+  function handleEvalWorkerMessage(event) {
+    const { type, id } = event.data;
+    if (threatSearch && id === threatSearch.id) {
+      if (type === 'analysis') showThreat(event.data.lines);
+      if (type === 'error') {
+        console.error('Threat error:', event.data.message);
+        threatSearch = null;
+      }
+      return;
+    }
+    if (!evalSearch || id !== evalSearch.id) return;
+    
+    if (type === 'info') {
+      evalSearch.info = event.data.info;
+      showEvaluation(evalSearch.info, evalSearch.chess);
+    } else {
+      if (type === 'error') console.error('Eval error:', event.data.message);
+      evalSearch.running = false;
+    }
+  }
+  
+  // A search still running is for a position that is no longer on the
+  // board; the worker drops it, or ends it within a slice, and stays for
+  // the next one
+  function stopEvalSearch() {
+    if (evalWorker) {
+      if (evalSearch && evalSearch.running) evalWorker.postMessage({ type: 'stop', id: evalSearch.id });
+      if (threatSearch) evalWorker.postMessage({ type: 'stop', id: threatSearch.id });
+    }
+    evalSearch = null;
+    threatSearch = null;
+    evalSearchId++;
+  }
+  
+  // info is { score } (White's point of view) from a static evaluation, or a
+  // search iteration's { depth, score, nodes, pv } for the position in chess
+  function showEvaluation(info, chess = null) {
     const evalBar = document.getElementById('eval-bar');
     const evalBarFill = document.getElementById('eval-bar-fill');
     const evalBarLabel = document.getElementById('eval-bar-label');
+    const evalInfo = document.getElementById('eval-info');
     
     if (!evalBar || !evalBarFill || !evalBarLabel) return;
     
-    try {
-      // Get evaluation from engine (in centipawns)
-      const evalCp = await ChessAI.getEvaluation(gameState.chess);
-      
-      // Calculate fill percentage (50% = equal, 100% = white winning, 0% = black winning)
-      // Use a more responsive scaling:
-      // +/- 500cp (5 pawns) = near max/min
-      // Linear scaling with soft clamp
-      const evalPawns = evalCp / 100;
-      
-      // Map evaluation to percentage: 0 pawns = 50%, +5 pawns = ~95%, -5 pawns = ~5%
-      // Using tanh for smooth clamping
-      const scaledEval = Math.tanh(evalPawns / 3) * 45; // Maps to roughly -45 to +45
-      const fillPercent = 50 + scaledEval;
-      
-      // Clamp to valid range
-      const clampedFill = Math.max(5, Math.min(95, fillPercent));
-      
-      // Update bar with animation
-      evalBarFill.style.height = `${clampedFill}%`;
-      
-      // Update advantage class
-      evalBar.classList.remove('white-winning', 'black-winning');
-      if (evalCp > 50) {
-        evalBar.classList.add('white-winning');
-      } else if (evalCp < -50) {
-        evalBar.classList.add('black-winning');
-      }
-      
-      // Update label
-      if (Math.abs(evalCp) >= 10000) {
-        // Mate
-        const mateIn = Math.ceil((10000 - Math.abs(evalCp)) / 10);
-        evalBarLabel.textContent = evalCp > 0 ? `M${mateIn}` : `-M${mateIn}`;
+    const evalCp = info.score;
+    const matePlies = ChessAI.mateDistance(evalCp);
+    
+    // Calculate fill percentage (50% = equal, 100% = white winning, 0% = black winning)
+    // Use a more responsive scaling:
+    // +/- 500cp (5 pawns) = near max/min
+    // Linear scaling with soft clamp
+    const evalPawns = evalCp / 100;
+    
+    // Map evaluation to percentage: 0 pawns = 50%, +5 pawns = ~95%, -5 pawns = ~5%
+    // Using tanh for smooth clamping; a forced mate fills the bar
+    const scaledEval = Math.tanh(evalPawns / 3) * 45; // Maps to roughly -45 to +45
+    const fillPercent = matePlies !== null ? (evalCp > 0 ? 100 : 0) : 50 + scaledEval;
+    
+    // Clamp to valid range
+    const clampedFill = Math.max(5, Math.min(95, fillPercent));
+    
+    // Update bar with animation
+    evalBarFill.style.height = `${clampedFill}%`;
+    
+    // Update advantage class
+    evalBar.classList.remove('white-winning', 'black-winning');
+    if (evalCp > 50) {
+      evalBar.classList.add('white-winning');
+    } else if (evalCp < -50) {
+      evalBar.classList.add('black-winning');
+    }
+    
+    // Update label
+    if (matePlies !== null) {
+      // Mate
+      const mateIn = Math.ceil(matePlies / 2);
+      evalBarLabel.textContent = evalCp > 0 ? `M${mateIn}` : `-M${mateIn}`;
+    } else {
+      // Show in pawns with sign
+      const displayEval = Math.abs(evalCp / 100).toFixed(1);
+      if (Math.abs(evalCp) < 10) {
+        evalBarLabel.textContent = '0.0';
       } else {
-        // Show in pawns with sign
-        const displayEval = Math.abs(evalCp / 100).toFixed(1);
-        if (Math.abs(evalCp) < 10) {
-          evalBarLabel.textContent = '0.0';
-        } else {
-          evalBarLabel.textContent = evalCp >= 0 ? `+${displayEval}` : `-${displayEval}`;
-        }
+        evalBarLabel.textContent = evalCp >= 0 ? `+${displayEval}` : `-${displayEval}`;
       }
-    } catch (error) {
-      console.error('Eval error:', error);
+    }
+    
+    // Search progress and the line it expects
+    if (evalInfo) {
+      evalInfo.innerHTML = info.depth ? `
+        <span class="eval-depth">Depth ${info.depth}</span>
+        <span class="eval-nodes">${formatNodes(info.nodes)} nodes</span>
+        <span class="eval-line">${escapeHtml(formatLine(chess, info.pv))}</span>
+      ` : '';
     }
   }
   
+  // SAN with move numbers for a line of moves from the position in chess
+  function formatLine(chess, moves) {
+    const position = chess.copy();
+    const parts = [];
+    for (const move of moves) {
+      if (position.turn === COLORS.WHITE || parts.length === 0) {
+        parts.push(`${position.fullMoves}.${position.turn === COLORS.WHITE ? '' : '..'}`);
+      }
+      const played = position.move(move);
+      if (!played) break;
+      parts.push(played.san);
+    }
+    return parts.join(' ');
+  }
+  
+  function formatNodes(nodes) {
+    if (nodes >= 1000000) return `${(nodes / 1000000).toFixed(1)}M`;
+    if (nodes >= 1000) return `${Math.round(nodes / 1000)}k`;
+    return String(nodes);
+  }
+  
   function renderMoveList(history) {
     if (!history || history.length === 0) return '<span style="color: var(--text-muted)">No moves yet</span>';
     
@@ -801,6 +1349,45 @@ const App = (function() {
     return html;
   }
   
+  // Crazyhouse shows the pocket to drop from; other games the pieces this player has lost
+  function renderPlayerMaterial(chess, color) {
+    if (chess.variant.pockets) {
+      return `<div class="player-pocket" data-color="${color}">${renderPocketPieces(chess, color)}</div>`;
+    }
+    return `<div class="player-captured">${getCapturedPieces(chess, color === 'w' ? 'b' : 'w')}</div>`;
+  }
+  
+  function renderPocketPieces(chess, color) {
+    const pocket = chess.pockets[color];
+    const order = ['q', 'r', 'b', 'n', 'p'];
+    
+    const html = order.filter(type => pocket[type] > 0).map(type => {
+      const selected = selectedDrop === type && chess.turn === color;
+      return `<span class="pocket-piece ${selected ? 'selected' : ''}" data-piece="${color}${type}" draggable="true"
+                    onclick="App.selectDropPiece('${color}', '${type}')">
+        ${PIECE_UNICODE[color + type.toUpperCase()]}${pocket[type] > 1 ? `<span class="pocket-count">${pocket[type]}</span>` : ''}
+      </span>`;
+    }).join('');
+    
+    return html || '-';
+  }
+  
+  function updatePockets() {
+    document.querySelectorAll('.player-pocket').forEach(el => {
+      el.innerHTML = renderPocketPieces(gameState.chess, el.dataset.color);
+    });
+  }
+  
+  // Three-check: checks given so far by a color
+  function renderCheckCounter(chess, color) {
+    if (chess.variant.key !== 'threeCheck') return '';
+    return `<div class="player-checks" data-color="${color}">${formatCheckCount(chess.checks[color])}</div>`;
+  }
+  
+  function formatCheckCount(count) {
+    return '✚'.repeat(count) + '<span class="pending">' + '✚'.repeat(Math.max(0, 3 - count)) + '</span>';
+  }
+  
   function getCapturedPieces(chess, byColor) {
     const captured = { p: 0, n: 0, b: 0, r: 0, q: 0 };
     
@@ -823,6 +1410,192 @@ const App = (function() {
     return html || '-';
   }
   
+  // ===== AI Worker =====
+  
+  // The engine runs in ai-worker.js so the page stays responsive while it
+  // thinks. A search cannot read messages while it runs, so stopAI()
+  // terminates the worker and a fresh one serves the next request. Without
+  // worker support (or when it fails to load) ChessAI runs on the main thread.
+  let aiWorker = null;
+  let aiWorkerUnavailable = false;
+  let aiRequestId = 0;
+  const aiRequests = new Map(); // id -> { type, chess, params, resolve, reject }
+  let ponderState = null; // { gameId, ply, expected, move, timer, search, done } while the AI ponders
+  let evalWorker = null;
+  let evalSearch = null; // { id, key, chess, info, running } of the search the eval bar is following
+  let evalSearchId = 0;
+  let threatSearch = null; // { id, ply } of the threat search queued ahead of the eval bar's
+  
+  function getAIWorker() {
+    if (aiWorker || aiWorkerUnavailable) return aiWorker;
+    try {
+      aiWorker = new Worker('ai-worker.js');
+    } catch (error) {
+      // No Worker support, or blocked (e.g. pages opened from file://)
+      aiWorkerUnavailable = true;
+      return null;
+    }
+    aiWorker.onmessage = handleAIWorkerMessage;
+    aiWorker.onerror = handleAIWorkerError;
+    return aiWorker;
+  }
+  
+  // The worker rebuilds the game from its start so repetitions still count
+  function serializePosition(chess) {
+    return {
+      fen: chess.startingFen(),
+      chess960: chess.chess960,
+      variant: chess.variant.key,
+      moves: chess.moveHistory.map(({ from, to, promotion, piece, drop }) =>
+        ({ from, to, promotion, piece, drop }))
+    };
+  }
+  
+  // type 'search' (params { level, options }) resolves with the best move,
+  // 'analyze' (params { options }) with ChessAI.analyze's lines, 'evaluate'
+  // with a score in centipawns; all resolve with null if stopped. onInfo
+  // receives the worker's report of each completed search depth
+  function askAI(type, chess, params = {}, onInfo = null) {
+    const worker = typeof Worker !== 'undefined' ? getAIWorker() : null;
+    if (!worker) return runAISync(type, chess, params);
+    
+    return new Promise((resolve, reject) => {
+      const id = ++aiRequestId;
+      aiRequests.set(id, { type, chess, params, onInfo, resolve, reject });
+      worker.postMessage({ type, id, position: serializePosition(chess), ...params });
+    });
+  }
+  
+  function runAISync(type, chess, params) {
+    if (type === 'search') {
+      return ChessAI.getBestMove(chess, params.level, params.options);
+    }
+    if (type === 'analyze') {
+      return Promise.resolve().then(() => ChessAI.analyze(chess, params.options));
+    }
+    return ChessAI.getEvaluation(chess);
+  }
+  
+  function handleAIWorkerMessage(event) {
+    const { type, id } = event.data;
+    const request = aiRequests.get(id);
+    if (!request) return;
+    if (type === 'info') {
+      if (request.onInfo) request.onInfo(event.data.info);
+      return;
+    }
+    
+    aiRequests.delete(id);
+    if (type === 'error') {
+      request.reject(new Error(event.data.message));
+    } else {
+      const results = { bestmove: event.data.move, analysis: event.data.lines, evaluation: event.data.score };
+      request.resolve(results[type]);
+    }
+  }
+  
+  // The worker script failed to load or crashed: finish its requests on the
+  // main thread and stay there
+  function handleAIWorkerError(event) {
+    event.preventDefault();
+    console.error('AI worker error:', event.message);
+    aiWorker.terminate();
+    aiWorker = null;
+    aiWorkerUnavailable = true;
+    
+    for (const request of aiRequests.values()) {
+      runAISync(request.type, request.chess, request.params).then(request.resolve, request.reject);
+    }
+    aiRequests.clear();
+  }
+  
+  // Abandons pending searches and evaluations, e.g. when the game they were
+  // started for ends or is left
+  function stopAI() {
+    stopEvalSearch();
+    ponderState = null;
+    cancelAIRequests();
+    if (gameState) {
+      gameState.isAIThinking = false;
+      gameState.ponderHit = false;
+    }
+  }
+  
+  // Resolves pending requests with null and terminates the worker running them
+  function cancelAIRequests() {
+    if (aiRequests.size === 0) return;
+    for (const request of aiRequests.values()) {
+      request.resolve(null);
+    }
+    aiRequests.clear();
+    if (aiWorker) {
+      aiWorker.terminate();
+      aiWorker = null;
+    }
+  }
+  
+  // The AI's search for its move in chess, within its share of its clock
+  function aiSearchParams(chess) {
+    const clock = gameState.clocks ? {
+      time: gameState.clocks[chess.turn],
+      increment: gameConfig.timeControl ? gameConfig.timeControl.increment : 0
+    } : null;
+    return { level: gameConfig.aiLevel, options: { clock, personality: gameConfig.aiPersonality } };
+  }
+  
+  // After its move the AI searches the position after the reply it expects,
+  // on the player's time: to its level's depth with no time limit, noting
+  // the move each completed depth would play. Only done in the worker,
+  // where it cannot freeze the page
+  function startPondering(expected) {
+    if (!settings.ponder || !expected || typeof Worker === 'undefined' || !getAIWorker()) return;
+    
+    const chess = gameState.chess.copy();
+    if (!chess.move(expected) || chess.isGameOver()) return;
+    
+    const ponder = { gameId: gameState.id, ply: chess.moveHistory.length, expected, move: null, timer: null, done: false };
+    const { level, options } = aiSearchParams(chess);
+    ponder.search = askAI('search', chess, { level, options: { ...options, clock: null, thinkDelay: false } },
+      info => { ponder.move = info.move; })
+      .catch(error => {
+        console.error('Ponder error:', error);
+        return null;
+      })
+      .then(move => {
+        ponder.done = true;
+        clearTimeout(ponder.timer);
+        // Stopped at the move's budget, the deepest completed depth's move
+        return move || ponder.move;
+      });
+    ponderState = ponder;
+  }
+  
+  // The pondered search if the player made the expected reply, given the
+  // AI's normal budget for the move from now if it has not finished; on a
+  // miss a search still running is stopped and null returned
+  function claimPonder() {
+    const ponder = ponderState;
+    ponderState = null;
+    if (!ponder) return null;
+    
+    const history = gameState.chess.moveHistory;
+    const reply = history[history.length - 1];
+    const { expected } = ponder;
+    if (ponder.gameId === gameState.id && history.length === ponder.ply && reply.from === expected.from &&
+        reply.to === expected.to && reply.piece === expected.piece &&
+        (reply.promotion || null) === (expected.promotion || null)) {
+      const budget = ChessAI.timeBudget(aiSearchParams(gameState.chess).options);
+      if (!ponder.done && budget !== null) {
+        ponder.timer = setTimeout(() => {
+          if (!ponder.done) cancelAIRequests();
+        }, budget);
+      }
+      return ponder.search;
+    }
+    if (!ponder.done) cancelAIRequests();
+    return null;
+  }
+  
   // ===== Clocks =====
   
   function startClocks() {
@@ -886,6 +1659,7 @@ const App = (function() {
     
     gameState.result = result;
     stopClocks();
+    stopAI();
     
     // Show result modal
     const modal = document.getElementById('result-modal');
@@ -921,7 +1695,9 @@ const App = (function() {
       const reasons = {
         'mate': 'by checkmate',
         'resign': 'by resignation',
-        'timeout': 'on time'
+        'timeout': 'on time',
+        'king-of-the-hill': 'king reached the hill',
+        'three-check': 'by three checks'
       };
       messageText = reasons[result.reason] || '';
     }
@@ -938,6 +1714,7 @@ const App = (function() {
   function undoMove() {
     if (!gameState || gameConfig.opponentType !== 'LOCAL') return;
     
+    stopAI();
     const undone = gameState.chess.undo();
     if (undone) {
       gameState.lastMove = gameState.chess.moveHistory[gameState.chess.moveHistory.length - 1] || null;
@@ -1001,6 +1778,11 @@ const App = (function() {
         </div>
         
         <div class="review-timeline">
+          ${chess.moveHistory.length > 0 ? `
+            <div class="eval-graph" id="eval-graph" onclick="App.selectGraphMove(event)">
+              ${renderEvalGraph()}
+            </div>
+          ` : ''}
           <input type="range" class="timeline-slider" min="0" max="${chess.moveHistory.length}" 
                  value="${moveIndex}" oninput="App.jumpToMove(parseInt(this.value))">
           <div class="timeline-controls">
@@ -1011,6 +1793,12 @@ const App = (function() {
           </div>
         </div>
         
+        ${renderAnalysisSummary()}
+        
+        <div class="review-moves" id="review-moves">
+          ${renderReviewMoves()}
+        </div>
+        
         <div class="review-info">
           <div class="review-info-row">
             <span class="review-info-label">Move</span>
@@ -1023,11 +1811,18 @@ const App = (function() {
           ${metadata ? `
             <div class="review-info-row">
               <span class="review-info-label">Date</span>
-              <span>${new Date(metadata.date).toLocaleDateString()}</span>
+              <span>${formatGameDate(metadata.date)}</span>
             </div>
           ` : ''}
         </div>
         
+        ${reviewState.analysis || chess.moveHistory.length === 0 ? '' : `
+          <button class="export-btn analyze-btn" id="analyze-game-btn" onclick="App.analyzeGame()"
+                  ${reviewState.analyzing ? 'disabled' : ''}>
+            ${reviewState.analyzing ? `Analyzing ${reviewState.evaluations.length}/${chess.moveHistory.length + 1}…` : 'Analyze Game'}
+          </button>
+        `}
+        
         <button class="export-btn" onclick="App.exportPGN()">
           Export PGN
         </button>
@@ -1035,8 +1830,88 @@ const App = (function() {
     `;
   }
   
+  // The game's moves, marked with the analysis verdicts once there are some
+  function renderReviewMoves() {
+    const { chess, moveIndex, analysis } = reviewState;
+    if (chess.moveHistory.length === 0) return '<span style="color: var(--text-muted)">No moves</span>';
+    
+    return chess.moveHistory.map((move, i) => {
+      const [, turn, , , , fullMoves] = move.fen_before.split(' ');
+      const verdict = analysis ? analysis.moves[i].classification : null;
+      const classes = ['review-move', verdict, i + 1 === moveIndex ? 'current' : null].filter(Boolean);
+      const number = turn === COLORS.WHITE ? `${fullMoves}.` : (i === 0 ? `${fullMoves}...` : '');
+      return `${number ? `<span class="move-number">${number}</span>` : ''}
+        <button class="${classes.join(' ')}" onclick="App.jumpToMove(${i + 1})">
+          ${move.san}${verdict && MOVE_CLASSES[verdict].symbol ? `<span class="move-mark">${MOVE_CLASSES[verdict].symbol}</span>` : ''}
+        </button>`;
+    }).join('');
+  }
+  
+  // Per-side accuracy and verdict counts
+  function renderAnalysisSummary() {
+    const { analysis, metadata } = reviewState;
+    if (!analysis) return '';
+    
+    const counted = Object.keys(MOVE_CLASSES).filter(key => key !== 'best' && key !== 'good');
+    const sides = [COLORS.WHITE, COLORS.BLACK].map(color => {
+      const name = color === COLORS.WHITE ? metadata?.white || 'White' : metadata?.black || 'Black';
+      const moves = analysis.moves.filter(move => move.color === color);
+      return `
+        <div class="analysis-side">
+          <div class="analysis-player">${escapeHtml(name)}</div>
+          <div class="analysis-accuracy">${analysis.accuracy[color] === null ? '–' : `${analysis.accuracy[color]}%`}</div>
+          ${counted.map(key => `
+            <div class="analysis-count ${key}">
+              <span>${MOVE_CLASSES[key].label}</span>
+              <span>${moves.filter(move => move.classification === key).length}</span>
+            </div>
+          `).join('')}
+        </div>
+      `;
+    });
+    
+    return `<div class="analysis-summary">${sides.join('')}</div>`;
+  }
+  
+  // White's winning chances across the game as they come in from the
+  // evaluation pass, with blunders marked and a cursor on the move shown
+  function renderEvalGraph() {
+    const { chess, evaluations, moveIndex } = reviewState;
+    const x = index => index / chess.moveHistory.length * 100;
+    const y = evaluation => 50 - 50 * winningChances(evaluation.score);
+    
+    let html = '<svg class="eval-graph-chart" viewBox="0 0 100 100" preserveAspectRatio="none">';
+    if (evaluations.length > 0) {
+      const points = evaluations.map((evaluation, i) => `${x(i)},${y(evaluation)}`);
+      html += `<path class="eval-graph-area" d="M0,100 L${points.join(' L')} L${x(evaluations.length - 1)},100 Z"/>`;
+    }
+    html += '<line class="eval-graph-midline" x1="0" y1="50" x2="100" y2="50"/></svg>';
+    
+    for (let i = 0; i + 1 < evaluations.length; i++) {
+      if (judgeMove(chess, evaluations, i).classification !== 'blunder') continue;
+      html += `<span class="eval-graph-marker" style="left: ${x(i + 1)}%; top: ${y(evaluations[i + 1])}%"></span>`;
+    }
+    html += `<div class="eval-graph-cursor" style="left: ${x(moveIndex)}%"></div>`;
+    
+    return html;
+  }
+  
+  function updateEvalGraph() {
+    const graph = document.getElementById('eval-graph');
+    if (graph && reviewState) graph.innerHTML = renderEvalGraph();
+  }
+  
+  // Jumps to the move nearest the clicked point of the graph
+  function selectGraphMove(event) {
+    if (!reviewState) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = (event.clientX - rect.left) / rect.width;
+    jumpToMove(Math.round(fraction * reviewState.chess.moveHistory.length));
+  }
+  
   function initReviewBoard() {
     renderReviewBoard();
+    startEvaluationPass(reviewState);
   }
   
   function renderReviewBoard() {
@@ -1078,7 +1953,7 @@ const App = (function() {
     reviewState.moveIndex = Math.max(0, Math.min(index, reviewState.chess.moveHistory.length));
     
     // Recreate position at this move
-    reviewState.displayChess = new Chess();
+    reviewState.displayChess = createStartPosition(reviewState.chess);
     for (let i = 0; i < reviewState.moveIndex; i++) {
       reviewState.displayChess.move(reviewState.chess.moveHistory[i]);
     }
@@ -1098,6 +1973,18 @@ const App = (function() {
     if (infoRows[1]) {
       infoRows[1].querySelector('span:last-child').textContent = reviewState.displayChess.fen();
     }
+    
+    updateEvalGraph();
+    
+    // Highlight the move just played
+    document.querySelectorAll('.review-move').forEach((button, i) => {
+      button.classList.toggle('current', i + 1 === reviewState.moveIndex);
+    });
+  }
+  
+  // Fresh board at the position a game started from, with the same rules
+  function createStartPosition(chess) {
+    return new Chess(chess.startingFen(), { chess960: chess.chess960, variant: chess.variant.key });
   }
   
   function stepBack() {
@@ -1126,6 +2013,206 @@ const App = (function() {
     });
   }
   
+  // ===== Game Analysis =====
+  
+  // Grades each move of the reviewed game by the winning chances it gave
+  // away and writes the verdicts into its PGN, once the evaluation pass
+  // has searched every position
+  async function analyzeGame() {
+    const state = reviewState;
+    if (!state || state.analyzing || state.chess.moveHistory.length === 0) return;
+    
+    state.analyzing = true;
+    renderScreen('review');
+    const finished = await startEvaluationPass(state);
+    state.analyzing = false;
+    if (!isReviewing(state)) return;
+    
+    if (finished) {
+      state.analysis = buildAnalysis(state.chess, state.evaluations);
+      annotateMoves(state.chess, state.analysis);
+      saveReview(state);
+    }
+    renderScreen('review');
+  }
+  
+  function isReviewing(state) {
+    return reviewState === state && currentScreen === 'review';
+  }
+  
+  // The engine pass over the reviewed game that feeds the evaluation graph
+  // and the report, joined if already running. Resolves with whether every
+  // position has been searched
+  function startEvaluationPass(state) {
+    if (state.chess.moveHistory.length === 0) return Promise.resolve(false);
+    
+    if (!state.evaluationPass) {
+      state.evaluationPass = evaluatePositions(state)
+        .catch(error => {
+          console.error('Evaluation error:', error);
+          showToast('Analysis failed', 'error');
+          return false;
+        })
+        .then(finished => {
+          state.evaluationPass = null;
+          return finished;
+        });
+    }
+    return state.evaluationPass;
+  }
+  
+  // Adds the engine's verdict on each position to state.evaluations, from
+  // where an earlier pass stopped to the game's final position, redrawing
+  // the graph as it goes. Stops if the review is left or the search stopped
+  async function evaluatePositions(state) {
+    const history = state.chess.moveHistory;
+    if (state.evaluations.length > history.length) return true;
+    
+    const position = createStartPosition(state.chess);
+    for (let i = 0; i < state.evaluations.length; i++) {
+      position.move(history[i]);
+    }
+    
+    while (state.evaluations.length <= history.length) {
+      // Yield so the graph repaints when searching on the main thread
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (!isReviewing(state)) return false;
+      
+      const result = position.getResult();
+      if (result) {
+        const sign = result.winner ? (result.winner === COLORS.WHITE ? 1 : -1) : 0;
+        state.evaluations.push({ turn: position.turn, score: sign * ChessAI.MATE_SCORE, mate: null, best: null, final: true });
+      } else {
+        const lines = await askAI('analyze', position, { options: { depth: GAME_ANALYSIS_DEPTH } });
+        if (!lines || !isReviewing(state)) return false;
+        state.evaluations.push({ turn: position.turn, score: lines[0].score, mate: lines[0].mate, best: lines[0].san });
+      }
+      
+      const done = state.evaluations.length;
+      if (done <= history.length) position.move(history[done - 1]);
+      updateEvalGraph();
+      const button = document.getElementById('analyze-game-btn');
+      if (button && state.analyzing) button.textContent = `Analyzing ${done}/${history.length + 1}…`;
+    }
+    
+    saveReview(state);
+    return true;
+  }
+  
+  // White's winning chances from -1 to 1 for a score in centipawns
+  function winningChances(score) {
+    return 2 / (1 + Math.exp(-0.00368208 * score)) - 1;
+  }
+  
+  // Graded by the winning chances the mover gave away; a winning position
+  // let slip back to about level is a missed win
+  function classifyMove(before, after, isBest) {
+    const loss = before - after;
+    if (isBest || loss < 0.02) return 'best';
+    if (loss < 0.1) return 'good';
+    if (before >= 0.5 && Math.abs(after) < 0.2) return 'missed-win';
+    if (loss >= 0.3) return 'blunder';
+    if (loss >= 0.2) return 'mistake';
+    return 'inaccuracy';
+  }
+  
+  // 100 for a move that keeps the mover's winning percentage, falling off
+  // steeply as it drops
+  function moveAccuracy(before, after) {
+    const drop = Math.max(0, before - after) * 50;
+    return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+  }
+  
+  // The verdict on the i-th move from the evaluations either side of it:
+  // { color, classification, accuracy }
+  function judgeMove(chess, evaluations, i) {
+    const before = evaluations[i];
+    const after = evaluations[i + 1];
+    const sign = before.turn === COLORS.WHITE ? 1 : -1;
+    const chancesBefore = sign * winningChances(before.score);
+    const chancesAfter = sign * winningChances(after.score);
+    const isBest = chess.moveHistory[i].san === before.best;
+    
+    return {
+      color: before.turn,
+      classification: classifyMove(chancesBefore, chancesAfter, isBest),
+      accuracy: moveAccuracy(chancesBefore, chancesAfter)
+    };
+  }
+  
+  // { moves: [{ color, classification, score, mate, final, best }], accuracy: { w, b } }
+  // with each move's score and mate the evaluation after it, from White's
+  // side, final set when the move ended the game and best the engine's choice
+  function buildAnalysis(chess, evaluations) {
+    const accuracies = { [COLORS.WHITE]: [], [COLORS.BLACK]: [] };
+    
+    const moves = chess.moveHistory.map((move, i) => {
+      const { color, classification, accuracy } = judgeMove(chess, evaluations, i);
+      const after = evaluations[i + 1];
+      
+      accuracies[color].push(accuracy);
+      return {
+        color,
+        classification,
+        score: after.score,
+        mate: after.mate,
+        final: after.final || false,
+        best: evaluations[i].best
+      };
+    });
+    
+    const accuracy = {};
+    for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+      const values = accuracies[color];
+      accuracy[color] = values.length === 0 ? null :
+        Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+    }
+    
+    return { moves, accuracy };
+  }
+  
+  // PGN-style evaluation: pawns from White's side, or #N / #-N for a mate
+  function formatAnalysisEval(move) {
+    if (move.mate !== null) return `#${move.mate}`;
+    return (move.score / 100).toFixed(2);
+  }
+  
+  // Verdicts become NAGs and an [%eval] comment on each move. They replace
+  // any move-assessment NAGs ($1-$6) and earlier [%eval] comments; other
+  // comments and NAGs are kept
+  function annotateMoves(chess, analysis) {
+    chess.moveHistory.forEach((entry, i) => {
+      const move = analysis.moves[i];
+      const verdict = MOVE_CLASSES[move.classification];
+      
+      const nags = (entry.nags || []).filter(nag => nag < 1 || nag > 6);
+      if (verdict.nag) nags.unshift(verdict.nag);
+      if (nags.length > 0) entry.nags = nags; else delete entry.nags;
+      
+      const comments = (entry.comments || []).filter(comment => !comment.startsWith('[%eval '));
+      const notes = move.final ? [] : [`[%eval ${formatAnalysisEval(move)}]`];
+      if (verdict.nag && move.best) notes.push(`${verdict.label}. ${move.best} was best.`);
+      if (notes.length > 0) comments.unshift(notes.join(' '));
+      if (comments.length > 0) entry.comments = comments; else delete entry.comments;
+    });
+  }
+  
+  // Keeps the evaluations, and the report and annotated PGN once there is
+  // one, with the saved copy of the game so reopening it needs no search
+  function saveReview(state) {
+    const game = state.savedGame;
+    if (!game || !savedGames.includes(game)) return;
+    
+    game.evaluations = state.evaluations;
+    if (state.analysis) {
+      game.pgn = state.chess.pgn(state.metadata || {});
+      game.analysis = state.analysis;
+    }
+    if (!saveSavedGames()) {
+      showToast('Storage is full, the analysis will not persist', 'error');
+    }
+  }
+  
   // ===== Saved Games Screen =====
   
   function renderSavedScreen() {
@@ -1134,22 +2221,49 @@ const App = (function() {
         <div class="screen-header">
           <button class="back-btn" onclick="App.goHome()">←</button>
           <h1 class="screen-title">Saved Games</h1>
+          <button class="header-action" id="import-pgn-btn"
+                  onclick="document.getElementById('import-pgn-input').click()">Import PGN</button>
+          <input type="file" id="import-pgn-input" accept=".pgn,application/x-chess-pgn,text/plain" hidden
+                 onchange="App.importPgnFile(this.files[0]); this.value = ''">
         </div>
         
+        ${renderImportReport()}
+        
         <div class="search-bar">
           <span>🔍</span>
           <input type="text" placeholder="Search games..." oninput="App.filterGames(this.value)">
         </div>
         
         <div class="saved-games-list" id="saved-games-list">
-          ${renderSavedGamesList(savedGames)}
+          ${renderSavedGamesList(savedGames.map((game, index) => ({ game, index })))}
+        </div>
+      </div>
+    `;
+  }
+  
+  function renderImportReport() {
+    if (!importReport) return '';
+    
+    const { imported, duplicates, failures } = importReport;
+    const shown = failures.slice(0, 10);
+    
+    return `
+      <div class="import-report">
+        <div class="import-report-header">
+          <span>Imported ${imported} game${imported === 1 ? '' : 's'}${duplicates ? `, ${duplicates} duplicate${duplicates === 1 ? '' : 's'} skipped` : ''}${failures.length ? `, ${failures.length} failed` : ''}</span>
+          <button class="icon-btn" onclick="App.dismissImportReport()">✕</button>
         </div>
+        ${shown.map(f => `
+          <div class="import-report-error">Game ${f.game} (line ${f.line}): ${escapeHtml(f.reason)}</div>
+        `).join('')}
+        ${failures.length > shown.length ? `<div class="import-report-error">…and ${failures.length - shown.length} more</div>` : ''}
       </div>
     `;
   }
   
-  function renderSavedGamesList(games) {
-    if (games.length === 0) {
+  // entries are { game, index } so filtered lists still open the right game
+  function renderSavedGamesList(entries) {
+    if (entries.length === 0) {
       return `
         <div class="empty-state">
           <div class="icon">📁</div>
@@ -1158,17 +2272,19 @@ const App = (function() {
       `;
     }
     
-    return games.map((game, index) => `
+    return entries.map(({ game, index }) => `
       <div class="saved-game-card" onclick="App.loadSavedGame(${index})">
         <div class="game-preview">
           ${renderMiniBoard()}
         </div>
         <div class="game-info">
-          <div class="game-title">${game.metadata?.white || 'White'} vs ${game.metadata?.black || 'Black'}</div>
+          <div class="game-title">${escapeHtml(game.metadata?.white || 'White')} vs ${escapeHtml(game.metadata?.black || 'Black')}</div>
           <div class="game-meta">
-            ${new Date(game.metadata?.date || Date.now()).toLocaleDateString()}
+            ${formatGameDate(game.metadata?.date || Date.now())}
             • ${game.moveCount || 0} moves
+            ${game.metadata?.eco ? `• ${escapeHtml(game.metadata.eco)}` : ''}
           </div>
+          ${game.metadata?.imported && game.metadata.event ? `<div class="game-meta">${escapeHtml(game.metadata.event)}</div>` : ''}
           <span class="game-result-badge ${getResultClass(game.result)}">${game.result?.outcome || 'In Progress'}</span>
         </div>
         <div class="game-card-actions">
@@ -1198,26 +2314,147 @@ const App = (function() {
   
   function filterGames(query) {
     const list = document.getElementById('saved-games-list');
-    const filtered = savedGames.filter(g => {
-      const search = query.toLowerCase();
-      return (g.metadata?.white || '').toLowerCase().includes(search) ||
-             (g.metadata?.black || '').toLowerCase().includes(search);
-    });
+    const search = query.toLowerCase();
+    const filtered = savedGames
+      .map((game, index) => ({ game, index }))
+      .filter(({ game: g }) => {
+        return (g.metadata?.white || '').toLowerCase().includes(search) ||
+               (g.metadata?.black || '').toLowerCase().includes(search) ||
+               (g.metadata?.event || '').toLowerCase().includes(search) ||
+               (g.metadata?.eco || '').toLowerCase().includes(search);
+      });
     list.innerHTML = renderSavedGamesList(filtered);
   }
   
+  // ===== PGN Import =====
+  
+  async function importPgnFile(file) {
+    if (!file) return;
+    
+    let text;
+    try {
+      text = await file.text();
+    } catch (e) {
+      showToast('Could not read file', 'error');
+      return;
+    }
+    
+    const chunks = ChessEngine.splitPgn(text);
+    if (chunks.length === 0) {
+      showToast('No games found in file', 'error');
+      return;
+    }
+    
+    const known = new Set(savedGames.map(getGameSignature));
+    const records = [];
+    const failures = [];
+    let duplicates = 0;
+    
+    for (let i = 0; i < chunks.length; i++) {
+      // Yield every few games so the progress label repaints on big files
+      if (i % 20 === 0) {
+        const button = document.getElementById('import-pgn-btn');
+        if (button) button.textContent = `Importing ${i}/${chunks.length}…`;
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      
+      const chunk = chunks[i];
+      const chess = new Chess();
+      const loaded = chess.loadPgn(chunk.text);
+      if (!loaded.ok) {
+        failures.push({
+          game: i + 1,
+          line: chunk.line + (loaded.error.line || 1) - 1,
+          reason: loaded.error.reason
+        });
+        continue;
+      }
+      
+      const record = createImportedRecord(chess);
+      if (known.has(record.signature)) {
+        duplicates++;
+        continue;
+      }
+      known.add(record.signature);
+      records.push(record);
+    }
+    
+    savedGames = [...records, ...savedGames];
+    if (records.length > 0 && !saveSavedGames()) {
+      showToast('Storage is full, imported games will not persist', 'error');
+    }
+    
+    importReport = { imported: records.length, duplicates, failures };
+    if (currentScreen === 'saved') {
+      renderScreen('saved');
+    }
+  }
+  
+  function createImportedRecord(chess) {
+    const headers = chess.headers;
+    const outcome = ['1-0', '0-1', '1/2-1/2'].includes(headers.Result) ? headers.Result : null;
+    const pgn = chess.pgn();
+    
+    return {
+      pgn,
+      metadata: {
+        event: headers.Event,
+        site: headers.Site,
+        date: headers.Date,
+        white: headers.White,
+        black: headers.Black,
+        result: headers.Result,
+        eco: headers.ECO,
+        imported: true
+      },
+      result: outcome ? { outcome } : null,
+      moveCount: chess.moveHistory.length,
+      savedAt: Date.now(),
+      signature: getGameSignature({ pgn })
+    };
+  }
+  
+  // Identifies a game by players, date, start position and mainline moves
+  function getGameSignature(game) {
+    if (game.signature) return game.signature;
+    
+    try {
+      const { headers, moves } = ChessEngine.parsePgn(game.pgn);
+      return [
+        headers.White, headers.Black, headers.Date, headers.FEN || '',
+        moves.map(m => m.san.replace(/[+#]/g, '')).join(' ')
+      ].join('|');
+    } catch (e) {
+      return game.pgn;
+    }
+  }
+  
+  function dismissImportReport() {
+    importReport = null;
+    renderScreen('saved');
+  }
+  
   function loadSavedGame(index) {
     const game = savedGames[index];
     if (!game) return;
     
     const chess = new Chess();
-    chess.loadPgn(game.pgn);
+    const loaded = chess.loadPgn(game.pgn);
+    if (!loaded.ok) {
+      showToast(`PGN error: ${loaded.error.message}`, 'error');
+    }
     
     reviewState = {
       chess,
-      displayChess: new Chess(),
+      displayChess: createStartPosition(chess),
       moveIndex: 0,
-      metadata: game.metadata
+      metadata: game.metadata,
+      savedGame: game,
+      // Cached from an earlier review, unless the PGN no longer matches them
+      evaluations: loaded.ok && game.evaluations?.length === chess.moveHistory.length + 1 ? game.evaluations : [],
+      evaluationPass: null,
+      analysis: loaded.ok && game.analysis?.moves.length === chess.moveHistory.length ? game.analysis : null,
+      analyzing: false
     };
     
     renderScreen('review');
@@ -1261,6 +2498,32 @@ const App = (function() {
           </div>
         </div>
         
+        <div class="settings-group">
+          <div class="settings-group-title">AI</div>
+          <div class="settings-item">
+            <div class="settings-item-left">
+              <div class="settings-icon">💭</div>
+              <span>Think on My Time</span>
+            </div>
+            <div class="toggle ${settings.ponder ? 'active' : ''}"
+                 onclick="App.toggleSetting('ponder')"></div>
+          </div>
+        </div>
+        
+        <div class="settings-group">
+          <div class="settings-group-title">Training</div>
+          ${OVERLAYS.map(overlay => `
+            <div class="settings-item">
+              <div class="settings-item-left">
+                <div class="settings-icon">${overlay.icon}</div>
+                <span>${overlay.label}</span>
+              </div>
+              <div class="toggle ${settings[overlay.key] ? 'active' : ''}"
+                   onclick="App.toggleSetting('${overlay.key}')"></div>
+            </div>
+          `).join('')}
+        </div>
+        
         <div class="settings-group">
           <div class="settings-group-title">Data</div>
           <div class="settings-item" onclick="App.clearAllData()">
@@ -1297,7 +2560,10 @@ const App = (function() {
       localStorage.removeItem('chess_saved_games');
       localStorage.removeItem('chess_settings');
       savedGames = [];
-      settings = { showCoordinates: true, flipBoard: false, soundEnabled: true, theme: 'wood' };
+      settings = {
+        showCoordinates: true, flipBoard: false, soundEnabled: true, ponder: true,
+        showThreat: false, showHanging: false, showControl: false, theme: 'wood'
+      };
       showToast('All data cleared', 'success');
       renderScreen('settings');
     });
@@ -1306,14 +2572,26 @@ const App = (function() {
   // ===== Game Management =====
   
   function startGame() {
+    stopAI();
+    
     // Determine player color
     let playerColor = gameConfig.side;
     if (playerColor === 'random') {
       playerColor = Math.random() < 0.5 ? 'w' : 'b';
     }
+    const aiPersonality = gameConfig.opponentType === 'AI' ? gameConfig.aiPersonality : null;
+    const rated = gameConfig.opponentType === 'AI' && gameConfig.rated;
     
     // Initialize game state
-    const chess = new Chess();
+    let chess;
+    let chess960Index = null;
+    if (gameConfig.variant === 'chess960') {
+      const { index, fen } = ChessEngine.getChess960Position();
+      chess = new Chess(fen, { chess960: true });
+      chess960Index = index;
+    } else {
+      chess = new Chess(null, { variant: gameConfig.variant });
+    }
     
     gameState = {
       id: Date.now().toString(),
@@ -1322,6 +2600,9 @@ const App = (function() {
       lastMove: null,
       result: null,
       isAIThinking: false,
+      hint: null,
+      hintsUsed: 0,
+      threat: null, // { ply, move } the opponent would play if it were their turn
       clocks: gameConfig.timeControl ? {
         w: gameConfig.timeControl.initial,
         b: gameConfig.timeControl.initial
@@ -1330,12 +2611,28 @@ const App = (function() {
         white: playerColor === 'w' ? 'You' : (gameConfig.opponentType === 'AI' ? `AI Lvl ${gameConfig.aiLevel}` : 'Player 2'),
         black: playerColor === 'b' ? 'You' : (gameConfig.opponentType === 'AI' ? `AI Lvl ${gameConfig.aiLevel}` : 'Player 2'),
         date: new Date().toISOString(),
-        event: 'Chess App Game'
+        event: 'Chess App Game',
+        site: 'Chess App',
+        variant: gameConfig.variant,
+        chess960Index,
+        personality: aiPersonality,
+        rated,
+        hints: 0,
+        // AI games export whether they were rated and how many hints were used
+        tags: aiPersonality ? {
+          AIPersonality: ChessAI.PERSONALITIES[aiPersonality].name,
+          Rated: rated ? 'Yes' : 'No',
+          Hints: '0'
+        } : {}
       }
     };
     
     renderScreen('game');
     
+    if (chess960Index !== null) {
+      showToast(`Chess960 position #${chess960Index}`);
+    }
+    
     // If player is black and playing AI, trigger AI move
     if (gameConfig.opponentType === 'AI' && playerColor === 'b') {
       setTimeout(requestAIMove, 500);
@@ -1345,6 +2642,12 @@ const App = (function() {
   function continueGame() {
     if (gameState) {
       renderScreen('game');
+      
+      // Pick up a search that was stopped when the game was left
+      if (gameConfig.opponentType === 'AI' && !gameState.result &&
+          gameState.chess.turn !== gameState.playerColor) {
+        setTimeout(requestAIMove, 500);
+      }
     }
   }
   
@@ -1383,9 +2686,15 @@ const App = (function() {
     
     reviewState = {
       chess: gameState.chess.copy(),
-      displayChess: new Chess(),
+      displayChess: createStartPosition(gameState.chess),
       moveIndex: 0,
-      metadata: gameState.metadata
+      metadata: gameState.metadata,
+      // The finished game was saved when it ended
+      savedGame: savedGames.find(g => g.metadata?.date === gameState.metadata?.date) || null,
+      evaluations: [],
+      evaluationPass: null,
+      analysis: null,
+      analyzing: false
     };
     
     renderScreen('review');
@@ -1405,8 +2714,10 @@ const App = (function() {
   function saveSavedGames() {
     try {
       localStorage.setItem('chess_saved_games', JSON.stringify(savedGames));
+      return true;
     } catch (e) {
       console.error('Failed to save games:', e);
+      return false;
     }
   }
   
@@ -1431,6 +2742,30 @@ const App = (function() {
   
   // ===== Utilities =====
   
+  // Accepts ISO dates from app games and PGN dates ("2024.03.17", "1993.??.??")
+  function formatGameDate(date) {
+    if (!date) return 'Unknown date';
+    
+    const pgnDate = typeof date === 'string' && date.match(/^([\d?]{4})\.([\d?]{2})\.([\d?]{2})$/);
+    if (pgnDate) {
+      const [, year, month, day] = pgnDate;
+      if (year.includes('?')) return 'Unknown date';
+      if (month.includes('?') || day.includes('?')) return year;
+      return new Date(parseInt(year), parseInt(month) - 1, parseInt(day)).toLocaleDateString();
+    }
+    
+    const parsed = new Date(date);
+    return isNaN(parsed) ? String(date) : parsed.toLocaleDateString();
+  }
+  
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
   function showToast(message, type = 'info') {
     const container = document.getElementById('toast-container');
     const toast = document.createElement('div');
@@ -1474,6 +2809,7 @@ const App = (function() {
   
   function goHome() {
     stopClocks();
+    stopAI();
     renderScreen('home');
   }
   
@@ -1482,6 +2818,7 @@ const App = (function() {
   }
   
   function showSaved() {
+    importReport = null;
     renderScreen('saved');
   }
   
@@ -1520,10 +2857,15 @@ const App = (function() {
     // Only update the display value, don't re-render the screen
     const valueDisplay = document.querySelector('.difficulty-value');
     if (valueDisplay) {
-      valueDisplay.textContent = value;
+      valueDisplay.textContent = levelLabel(value);
     }
   }
   
+  // The level with the rating it plays at, e.g. "3 (~900)"
+  function levelLabel(level) {
+    return `${level} (~${ChessAI.LEVEL_CONFIG[level].rating})`;
+  }
+  
   function toggleHints() {
     gameConfig.showHints = !gameConfig.showHints;
     const toggle = document.querySelector('[data-config="showHints"]');
@@ -1532,6 +2874,14 @@ const App = (function() {
     }
   }
   
+  function toggleRated() {
+    gameConfig.rated = !gameConfig.rated;
+    const toggle = document.querySelector('[data-config="rated"]');
+    if (toggle) {
+      toggle.classList.toggle('active', gameConfig.rated);
+    }
+  }
+  
   function setTimeControl(tc) {
     gameConfig.timeControl = tc;
     
@@ -1565,6 +2915,9 @@ const App = (function() {
     updateAILevel,
     setTimeControl,
     toggleHints,
+    toggleRated,
+    toggleOverlay,
+    showHint,
     startGame,
     continueGame,
     undoMove,
@@ -1575,13 +2928,18 @@ const App = (function() {
     toggleFlip,
     showGameMenu,
     selectPromotion,
+    selectDropPiece,
     jumpToMove,
     stepBack,
     stepForward,
     exportPGN,
+    analyzeGame,
+    selectGraphMove,
     loadSavedGame,
     deleteSavedGame,
     filterGames,
+    importPgnFile,
+    dismissImportReport,
     toggleSetting,
     clearAllData
   };
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Strength Calibration
+ * Plays the AI levels against each other and fits a rating to each from
+ * the results, to check that the levels keep their intended spacing. The
+ * fitted ratings are relative: they are shifted so their average matches the
+ * average of the levels' target ratings
+ *
+ * Usage: node calibrate.js [--levels 1,2,...] [--games N] [--max-plies N]
+ */
+
+const { ChessEngine, ChessAI } = require('./chess-engine.js');
+
+const { Chess, COLORS } = ChessEngine;
+
+const DEFAULT_GAMES = 4;
+const DEFAULT_MAX_PLIES = 200;
+const FIT_ITERATIONS = 2000;
+
+function parseArgs(argv) {
+  const options = {
+    levels: Object.keys(ChessAI.LEVEL_CONFIG).map(Number),
+    games: DEFAULT_GAMES,
+    maxPlies: DEFAULT_MAX_PLIES
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--levels') {
+      options.levels = argv[++i].split(',').map(Number);
+    } else if (arg === '--games') {
+      options.games = parseInt(argv[++i]);
+    } else if (arg === '--max-plies') {
+      options.maxPlies = parseInt(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  if (options.levels.length < 2 || !options.levels.every(level => ChessAI.LEVEL_CONFIG[level])) {
+    throw new Error('--levels must list at least two levels');
+  }
+  if (!(options.games >= 1)) throw new Error('--games must be a positive number');
+  return options;
+}
+
+// White's score: 1, 1/2 or 0. Games reaching maxPlies are scored as draws
+async function playGame(white, black, maxPlies) {
+  const chess = new Chess();
+  while (!chess.isGameOver() && chess.moveHistory.length < maxPlies) {
+    const level = chess.turn === COLORS.WHITE ? white : black;
+    const move = await ChessAI.getBestMove(chess, level, { thinkDelay: false });
+    chess.move(move);
+  }
+  const result = chess.getResult();
+  if (!result || result.outcome === '1/2-1/2') return 0.5;
+  return result.outcome === '1-0' ? 1 : 0;
+}
+
+// Maximum-likelihood ratings under the Elo model. Every pairing also counts
+// one extra drawn game so a clean sweep still gives a finite gap
+function fitRatings(levels, results) {
+  const ratings = new Map(levels.map(level => [level, 0]));
+  const expected = (a, b) => 1 / (1 + Math.pow(10, (ratings.get(b) - ratings.get(a)) / 400));
+
+  for (let iteration = 0; iteration < FIT_ITERATIONS; iteration++) {
+    for (const level of levels) {
+      let surplus = 0;
+      let games = 0;
+      for (const { a, b, score, played } of results) {
+        if (level !== a && level !== b) continue;
+        const opponent = level === a ? b : a;
+        const scored = level === a ? score : played - score;
+        surplus += scored + 0.5 - (played + 1) * expected(level, opponent);
+        games += played + 1;
+      }
+      ratings.set(level, ratings.get(level) + 800 * surplus / games);
+    }
+  }
+
+  const levelRatings = levels.map(level => ChessAI.LEVEL_CONFIG[level].rating);
+  const shift = levelRatings.reduce((sum, rating) => sum + rating, 0) / levels.length -
+    levels.reduce((sum, level) => sum + ratings.get(level), 0) / levels.length;
+  return new Map(levels.map(level => [level, Math.round(ratings.get(level) + shift)]));
+}
+
+// Every pair of levels plays options.games games, alternating colours
+async function runCalibration(options) {
+  const results = [];
+  for (let i = 0; i < options.levels.length; i++) {
+    for (let j = i + 1; j < options.levels.length; j++) {
+      const a = options.levels[i];
+      const b = options.levels[j];
+      let score = 0;
+      for (let game = 0; game < options.games; game++) {
+        const aWhite = game % 2 === 0;
+        const whiteScore = await playGame(aWhite ? a : b, aWhite ? b : a, options.maxPlies);
+        score += aWhite ? whiteScore : 1 - whiteScore;
+      }
+      results.push({ a, b, score, played: options.games });
+      console.log(`level ${a} vs level ${b}: ${score}-${options.games - score}`);
+    }
+  }
+
+  const ratings = fitRatings(options.levels, results);
+  console.log('\nLevel  Target  Measured');
+  for (const level of options.levels) {
+    const target = ChessAI.LEVEL_CONFIG[level].rating;
+    console.log(`${String(level).padStart(5)}  ${String(target).padStart(6)}  ${String(ratings.get(level)).padStart(8)}`);
+  }
+  return ratings;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+  runCalibration(options).then(
+    () => process.exit(0),
+    error => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { runCalibration, fitRatings };
@@ -1,7 +1,16 @@
 /**
  * Chess Engine - Full rules implementation with Stockfish AI
  * Supports: legal moves, check/checkmate/stalemate, castling, en passant, promotion
+ * Chess960: start positions by index or seed, castling with any king/rook files,
+ * X-FEN and Shredder-FEN castling fields
+ * Variants: pluggable rules (win conditions, legality, FEN extensions);
+ * King of the Hill, Three-check and Crazyhouse (piece drops) built in
  * Draw detection: insufficient material, 50-move rule, threefold repetition
+ * FEN: import/export with optional strict validation and descriptive errors
+ * PGN: tag pairs, SetUp/FEN, comments, NAGs and nested variations (read and write)
+ * Perft/divide and a bundled suite of reference positions for move generator checks
+ * Board: 0x88 squares with reversible in-place makeMove/unmakeMove for search and perft,
+ * incremental Zobrist hashing (Polyglot-compatible keys)
  * AI: Stockfish.js WebAssembly engine
  */
 
@@ -26,26 +35,583 @@ const ChessEngine = (function() {
   // Starting position FEN
   const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
   
+  const CASTLING_RIGHTS = ['K', 'Q', 'k', 'q'];
+  
+  // Castling right key ('K', 'Q', 'k', 'q') for a color and side ('k' or 'q')
+  function castlingRight(color, side) {
+    return color === COLORS.WHITE ? side.toUpperCase() : side;
+  }
+  
+  // Knight placements among the five squares left after bishops and queen,
+  // in the order used by the standard Chess960 numbering scheme
+  const CHESS960_KNIGHTS = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+  
+  // Deterministic PRNG (mulberry32) so a seed always selects the same position
+  function seededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 :
+      [...String(seed)].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  
+  // Chess960 start position from its number (0-959, 518 is the standard
+  // setup), a seed, or at random. Returns { index, fen }.
+  function getChess960Position(options = {}) {
+    let index = options.index;
+    if (index === undefined) {
+      const random = options.seed !== undefined ? seededRandom(options.seed) : Math.random;
+      index = Math.floor(random() * 960);
+    }
+    if (!Number.isInteger(index) || index < 0 || index > 959) {
+      throw new RangeError(`Chess960 index must be an integer from 0 to 959, got ${index}`);
+    }
+    
+    const rank = Array(8).fill(null);
+    const freeFiles = () => rank.map((piece, file) => piece ? -1 : file).filter(file => file >= 0);
+    let n = index;
+    
+    rank[(n % 4) * 2 + 1] = 'b'; // light-squared bishop
+    n = Math.floor(n / 4);
+    rank[(n % 4) * 2] = 'b'; // dark-squared bishop
+    n = Math.floor(n / 4);
+    rank[freeFiles()[n % 6]] = 'q';
+    n = Math.floor(n / 6);
+    
+    const knightFiles = freeFiles();
+    for (const i of CHESS960_KNIGHTS[n]) rank[knightFiles[i]] = 'n';
+    
+    const [queenRook, king, kingRook] = freeFiles();
+    rank[queenRook] = 'r';
+    rank[king] = 'k';
+    rank[kingRook] = 'r';
+    
+    const pieces = rank.join('');
+    return {
+      index,
+      fen: `${pieces}/pppppppp/8/8/8/8/PPPPPPPP/${pieces.toUpperCase()} w KQkq - 0 1`
+    };
+  }
+  
+  // ===== Variants =====
+  
+  const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+  const THREE_CHECK_LIMIT = 3;
+  
+  // Pieces that can be held in a Crazyhouse pocket, in FEN order
+  const POCKET_PIECES = [PIECES.QUEEN, PIECES.ROOK, PIECES.BISHOP, PIECES.KNIGHT, PIECES.PAWN];
+  
+  function emptyPockets() {
+    return {
+      w: { q: 0, r: 0, b: 0, n: 0, p: 0 },
+      b: { q: 0, r: 0, b: 0, n: 0, p: 0 }
+    };
+  }
+  
+  // White's pieces then Black's: "QNNpp"
+  function pocketFen(pockets) {
+    let text = '';
+    for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+      for (const type of POCKET_PIECES) {
+        const char = color === COLORS.WHITE ? type.toUpperCase() : type;
+        text += char.repeat(pockets[color][type]);
+      }
+    }
+    return text;
+  }
+  
+  // Rules variants. Everything is optional; a variant may provide:
+  //   startFen                      default start position
+  //   chess960                      use Chess960 castling rules
+  //   pockets                       captures go to the capturer's pocket and can
+  //                                 be dropped back as moves (chess.pockets)
+  //   stateKeys                     Chess properties holding variant state; they are
+  //                                 replaced, never mutated, so unmakeMove can restore them
+  //   parseFen(fields)              strip FEN extensions: { fields, state, errors };
+  //                                 state is assigned onto the Chess instance
+  //   writeFen(chess, fields)       add FEN extensions back
+  //   afterMove(chess, entry)       update variant state once a move is played
+  //   isLegalMove(chess, move)      extra legality test on top of king safety
+  //   getResult(chess)              variant win/draw, checked before standard rules
+  //   isInsufficientMaterial(chess) replaces the standard dead-position test
+  //   positionKey(chess)            extra state that distinguishes repetitions
+  const VARIANTS = {
+    standard: {
+      key: 'standard',
+      name: 'Standard'
+    },
+    
+    chess960: {
+      key: 'chess960',
+      name: 'Chess960',
+      chess960: true
+    },
+    
+    kingOfTheHill: {
+      key: 'kingOfTheHill',
+      name: 'King of the Hill',
+      
+      getResult(chess) {
+        for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+          const king = chess.findKing(color);
+          if (king && HILL_SQUARES.includes(chess.indexToAlgebraic(king.row, king.col))) {
+            return { outcome: color === COLORS.WHITE ? '1-0' : '0-1', reason: 'king-of-the-hill', winner: color };
+          }
+        }
+        return null;
+      },
+      
+      // A lone king can still walk to the centre
+      isInsufficientMaterial() {
+        return false;
+      }
+    },
+    
+    threeCheck: {
+      key: 'threeCheck',
+      name: 'Three-check',
+      startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 3+3 0 1',
+      stateKeys: ['checks'],
+      
+      // Remaining checks "3+3" after the en passant field (lichess/Stockfish),
+      // or checks given "+0+0" as a trailing field
+      parseFen(fields) {
+        const checks = { w: 0, b: 0 };
+        const errors = [];
+        const rest = [...fields];
+        
+        const remainingIndex = rest.findIndex((field, i) => i >= 4 && /^\d\+\d$/.test(field));
+        const givenIndex = rest.findIndex((field, i) => i >= 4 && /^\+\d\+\d$/.test(field));
+        if (remainingIndex >= 0) {
+          const [white, black] = rest.splice(remainingIndex, 1)[0].split('+').map(Number);
+          checks.w = THREE_CHECK_LIMIT - white;
+          checks.b = THREE_CHECK_LIMIT - black;
+        } else if (givenIndex >= 0) {
+          const [, white, black] = rest.splice(givenIndex, 1)[0].split('+').map(Number);
+          checks.w = white;
+          checks.b = black;
+        }
+        
+        if (checks.w < 0 || checks.w > THREE_CHECK_LIMIT || checks.b < 0 || checks.b > THREE_CHECK_LIMIT) {
+          errors.push(`Check counts must be between 0 and ${THREE_CHECK_LIMIT}`);
+        }
+        return { fields: rest, state: { checks }, errors };
+      },
+      
+      writeFen(chess, fields) {
+        const remaining = `${THREE_CHECK_LIMIT - chess.checks.w}+${THREE_CHECK_LIMIT - chess.checks.b}`;
+        return [...fields.slice(0, 4), remaining, ...fields.slice(4)];
+      },
+      
+      afterMove(chess, entry) {
+        if (chess.inCheck()) {
+          chess.checks = { ...chess.checks, [entry.color]: chess.checks[entry.color] + 1 };
+        }
+      },
+      
+      getResult(chess) {
+        for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+          if (chess.checks[color] >= THREE_CHECK_LIMIT) {
+            return { outcome: color === COLORS.WHITE ? '1-0' : '0-1', reason: 'three-check', winner: color };
+          }
+        }
+        return null;
+      },
+      
+      // Any piece besides the king can still deliver checks
+      isInsufficientMaterial(chess) {
+        return chess.squares.every(piece => !piece || piece.type === PIECES.KING);
+      },
+      
+      positionKey(chess) {
+        return `+${chess.checks.w}+${chess.checks.b}`;
+      }
+    },
+    
+    crazyhouse: {
+      key: 'crazyhouse',
+      name: 'Crazyhouse',
+      pockets: true,
+      startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1',
+      
+      // Pocket as "[QNp]" after the placement, or as a ninth "rank" (".../RNBQKBNR/QNp")
+      parseFen(fields) {
+        const pockets = emptyPockets();
+        const errors = [];
+        const [board = '', ...rest] = fields;
+        let placement = board;
+        let pocket = '';
+        
+        const bracketed = board.match(/^(.*)\[([^\]]*)\]$/);
+        if (bracketed) {
+          [, placement, pocket] = bracketed;
+        } else if (board.split('/').length === 9) {
+          const ranks = board.split('/');
+          pocket = ranks.pop();
+          placement = ranks.join('/');
+        }
+        
+        for (const char of pocket) {
+          const type = char.toLowerCase();
+          if (char === '-') continue;
+          if (!POCKET_PIECES.includes(type)) {
+            errors.push(`Invalid pocket piece "${char}"`);
+            continue;
+          }
+          pockets[char === char.toUpperCase() ? COLORS.WHITE : COLORS.BLACK][type]++;
+        }
+        return { fields: [placement, ...rest], state: { pockets }, errors };
+      },
+      
+      writeFen(chess, fields) {
+        return [`${fields[0]}[${pocketFen(chess.pockets)}]`, ...fields.slice(1)];
+      },
+      
+      // Captured material always comes back into play
+      isInsufficientMaterial() {
+        return false;
+      },
+      
+      positionKey(chess) {
+        return `[${pocketFen(chess.pockets)}]`;
+      }
+    }
+  };
+  
+  // Looks a variant up by key or by PGN name ("King of the Hill", "3-check", ...)
+  function getVariant(name) {
+    if (!name) return VARIANTS.standard;
+    if (VARIANTS[name]) return VARIANTS[name];
+    
+    const normalized = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const aliases = { '3check': 'threeCheck', 'fischerandom': 'chess960', 'fischerrandom': 'chess960' };
+    if (aliases[normalized]) return VARIANTS[aliases[normalized]];
+    
+    return Object.values(VARIANTS).find(variant =>
+      variant.key.toLowerCase() === normalized ||
+      variant.name.toLowerCase().replace(/[^a-z0-9]/g, '') === normalized
+    ) || null;
+  }
+  
+  // ===== 0x88 Board =====
+  
+  // Squares are numbered row * 16 + col with row 0 = rank 8, so a square
+  // is off the board exactly when (square & 0x88) !== 0
+  const SQUARE_NAMES = [];
+  const SQUARE_INDEX = {};
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const name = FILES[col] + RANKS[7 - row];
+      SQUARE_NAMES[row * 16 + col] = name;
+      SQUARE_INDEX[name] = row * 16 + col;
+    }
+  }
+  
+  const KNIGHT_OFFSETS = [-33, -31, -18, -14, 14, 18, 31, 33];
+  const BISHOP_OFFSETS = [-17, -15, 15, 17];
+  const ROOK_OFFSETS = [-16, -1, 1, 16];
+  const KING_OFFSETS = [-17, -16, -15, -1, 1, 15, 16, 17];
+  
+  const PIECE_OFFSETS = {
+    [PIECES.KNIGHT]: KNIGHT_OFFSETS,
+    [PIECES.BISHOP]: BISHOP_OFFSETS,
+    [PIECES.ROOK]: ROOK_OFFSETS,
+    [PIECES.QUEEN]: KING_OFFSETS,
+    [PIECES.KING]: KING_OFFSETS
+  };
+  const SLIDING_PIECES = [PIECES.BISHOP, PIECES.ROOK, PIECES.QUEEN];
+  const PROMOTION_PIECES = [PIECES.QUEEN, PIECES.ROOK, PIECES.BISHOP, PIECES.KNIGHT];
+  
+  // ===== Zobrist Hashing =====
+  
+  // Polyglot's Random64 table: 768 piece/square keys, then 4 castling rights,
+  // 8 en passant files and the side to move. With these keys hash() of a
+  // standard position is its Polyglot opening-book key.
+  const POLYGLOT_RANDOM = [
+    '9D39247E33776D41', '2AF7398005AAA5C7', '44DB015024623547', '9C15F73E62A76AE2',
+    '75834465489C0C89', '3290AC3A203001BF', '0FBBAD1F61042279', 'E83A908FF2FB60CA',
+    '0D7E765D58755C10', '1A083822CEAFE02D', '9605D5F0E25EC3B0', 'D021FF5CD13A2ED5',
+    '40BDF15D4A672E32', '011355146FD56395', '5DB4832046F3D9E5', '239F8B2D7FF719CC',
+    '05D1A1AE85B49AA1', '679F848F6E8FC971', '7449BBFF801FED0B', '7D11CDB1C3B7ADF0',
+    '82C7709E781EB7CC', 'F3218F1C9510786C', '331478F3AF51BBE6', '4BB38DE5E7219443',
+    'AA649C6EBCFD50FC', '8DBD98A352AFD40B', '87D2074B81D79217', '19F3C751D3E92AE1',
+    'B4AB30F062B19ABF', '7B0500AC42047AC4', 'C9452CA81A09D85D', '24AA6C514DA27500',
+    '4C9F34427501B447', '14A68FD73C910841', 'A71B9B83461CBD93', '03488B95B0F1850F',
+    '637B2B34FF93C040', '09D1BC9A3DD90A94', '3575668334A1DD3B', '735E2B97A4C45A23',
+    '18727070F1BD400B', '1FCBACD259BF02E7', 'D310A7C2CE9B6555', 'BF983FE0FE5D8244',
+    '9F74D14F7454A824', '51EBDC4AB9BA3035', '5C82C505DB9AB0FA', 'FCF7FE8A3430B241',
+    '3253A729B9BA3DDE', '8C74C368081B3075', 'B9BC6C87167C33E7', '7EF48F2B83024E20',
+    '11D505D4C351BD7F', '6568FCA92C76A243', '4DE0B0F40F32A7B8', '96D693460CC37E5D',
+    '42E240CB63689F2F', '6D2BDCDAE2919661', '42880B0236E4D951', '5F0F4A5898171BB6',
+    '39F890F579F92F88', '93C5B5F47356388B', '63DC359D8D231B78', 'EC16CA8AEA98AD76',
+    '5355F900C2A82DC7', '07FB9F855A997142', '5093417AA8A7ED5E', '7BCBC38DA25A7F3C',
+    '19FC8A768CF4B6D4', '637A7780DECFC0D9', '8249A47AEE0E41F7', '79AD695501E7D1E8',
+    '14ACBAF4777D5776', 'F145B6BECCDEA195', 'DABF2AC8201752FC', '24C3C94DF9C8D3F6',
+    'BB6E2924F03912EA', '0CE26C0B95C980D9', 'A49CD132BFBF7CC4', 'E99D662AF4243939',
+    '27E6AD7891165C3F', '8535F040B9744FF1', '54B3F4FA5F40D873', '72B12C32127FED2B',
+    'EE954D3C7B411F47', '9A85AC909A24EAA1', '70AC4CD9F04F21F5', 'F9B89D3E99A075C2',
+    '87B3E2B2B5C907B1', 'A366E5B8C54F48B8', 'AE4A9346CC3F7CF2', '1920C04D47267BBD',
+    '87BF02C6B49E2AE9', '092237AC237F3859', 'FF07F64EF8ED14D0', '8DE8DCA9F03CC54E',
+    '9C1633264DB49C89', 'B3F22C3D0B0B38ED', '390E5FB44D01144B', '5BFEA5B4712768E9',
+    '1E1032911FA78984', '9A74ACB964E78CB3', '4F80F7A035DAFB04', '6304D09A0B3738C4',
+    '2171E64683023A08', '5B9B63EB9CEFF80C', '506AACF489889342', '1881AFC9A3A701D6',
+    '6503080440750644', 'DFD395339CDBF4A7', 'EF927DBCF00C20F2', '7B32F7D1E03680EC',
+    'B9FD7620E7316243', '05A7E8A57DB91B77', 'B5889C6E15630A75', '4A750A09CE9573F7',
+    'CF464CEC899A2F8A', 'F538639CE705B824', '3C79A0FF5580EF7F', 'EDE6C87F8477609D',
+    '799E81F05BC93F31', '86536B8CF3428A8C', '97D7374C60087B73', 'A246637CFF328532',
+    '043FCAE60CC0EBA0', '920E449535DD359E', '70EB093B15B290CC', '73A1921916591CBD',
+    '56436C9FE1A1AA8D', 'EFAC4B70633B8F81', 'BB215798D45DF7AF', '45F20042F24F1768',
+    '930F80F4E8EB7462', 'FF6712FFCFD75EA1', 'AE623FD67468AA70', 'DD2C5BC84BC8D8FC',
+    '7EED120D54CF2DD9', '22FE545401165F1C', 'C91800E98FB99929', '808BD68E6AC10365',
+    'DEC468145B7605F6', '1BEDE3A3AEF53302', '43539603D6C55602', 'AA969B5C691CCB7A',
+    'A87832D392EFEE56', '65942C7B3C7E11AE', 'DED2D633CAD004F6', '21F08570F420E565',
+    'B415938D7DA94E3C', '91B859E59ECB6350', '10CFF333E0ED804A', '28AED140BE0BB7DD',
+    'C5CC1D89724FA456', '5648F680F11A2741', '2D255069F0B7DAB3', '9BC5A38EF729ABD4',
+    'EF2F054308F6A2BC', 'AF2042F5CC5C2858', '480412BAB7F5BE2A', 'AEF3AF4A563DFE43',
+    '19AFE59AE451497F', '52593803DFF1E840', 'F4F076E65F2CE6F0', '11379625747D5AF3',
+    'BCE5D2248682C115', '9DA4243DE836994F', '066F70B33FE09017', '4DC4DE189B671A1C',
+    '51039AB7712457C3', 'C07A3F80C31FB4B4', 'B46EE9C5E64A6E7C', 'B3819A42ABE61C87',
+    '21A007933A522A20', '2DF16F761598AA4F', '763C4A1371B368FD', 'F793C46702E086A0',
+    'D7288E012AEB8D31', 'DE336A2A4BC1C44B', '0BF692B38D079F23', '2C604A7A177326B3',
+    '4850E73E03EB6064', 'CFC447F1E53C8E1B', 'B05CA3F564268D99', '9AE182C8BC9474E8',
+    'A4FC4BD4FC5558CA', 'E755178D58FC4E76', '69B97DB1A4C03DFE', 'F9B5B7C4ACC67C96',
+    'FC6A82D64B8655FB', '9C684CB6C4D24417', '8EC97D2917456ED0', '6703DF9D2924E97E',
+    'C547F57E42A7444E', '78E37644E7CAD29E', 'FE9A44E9362F05FA', '08BD35CC38336615',
+    '9315E5EB3A129ACE', '94061B871E04DF75', 'DF1D9F9D784BA010', '3BBA57B68871B59D',
+    'D2B7ADEEDED1F73F', 'F7A255D83BC373F8', 'D7F4F2448C0CEB81', 'D95BE88CD210FFA7',
+    '336F52F8FF4728E7', 'A74049DAC312AC71', 'A2F61BB6E437FDB5', '4F2A5CB07F6A35B3',
+    '87D380BDA5BF7859', '16B9F7E06C453A21', '7BA2484C8A0FD54E', 'F3A678CAD9A2E38C',
+    '39B0BF7DDE437BA2', 'FCAF55C1BF8A4424', '18FCF680573FA594', '4C0563B89F495AC3',
+    '40E087931A00930D', '8CFFA9412EB642C1', '68CA39053261169F', '7A1EE967D27579E2',
+    '9D1D60E5076F5B6F', '3810E399B6F65BA2', '32095B6D4AB5F9B1', '35CAB62109DD038A',
+    'A90B24499FCFAFB1', '77A225A07CC2C6BD', '513E5E634C70E331', '4361C0CA3F692F12',
+    'D941ACA44B20A45B', '528F7C8602C5807B', '52AB92BEB9613989', '9D1DFA2EFC557F73',
+    '722FF175F572C348', '1D1260A51107FE97', '7A249A57EC0C9BA2', '04208FE9E8F7F2D6',
+    '5A110C6058B920A0', '0CD9A497658A5698', '56FD23C8F9715A4C', '284C847B9D887AAE',
+    '04FEABFBBDB619CB', '742E1E651C60BA83', '9A9632E65904AD3C', '881B82A13B51B9E2',
+    '506E6744CD974924', 'B0183DB56FFC6A79', '0ED9B915C66ED37E', '5E11E86D5873D484',
+    'F678647E3519AC6E', '1B85D488D0F20CC5', 'DAB9FE6525D89021', '0D151D86ADB73615',
+    'A865A54EDCC0F019', '93C42566AEF98FFB', '99E7AFEABE000731', '48CBFF086DDF285A',
+    '7F9B6AF1EBF78BAF', '58627E1A149BBA21', '2CD16E2ABD791E33', 'D363EFF5F0977996',
+    '0CE2A38C344A6EED', '1A804AADB9CFA741', '907F30421D78C5DE', '501F65EDB3034D07',
+    '37624AE5A48FA6E9', '957BAF61700CFF4E', '3A6C27934E31188A', 'D49503536ABCA345',
+    '088E049589C432E0', 'F943AEE7FEBF21B8', '6C3B8E3E336139D3', '364F6FFA464EE52E',
+    'D60F6DCEDC314222', '56963B0DCA418FC0', '16F50EDF91E513AF', 'EF1955914B609F93',
+    '565601C0364E3228', 'ECB53939887E8175', 'BAC7A9A18531294B', 'B344C470397BBA52',
+    '65D34954DAF3CEBD', 'B4B81B3FA97511E2', 'B422061193D6F6A7', '071582401C38434D',
+    '7A13F18BBEDC4FF5', 'BC4097B116C524D2', '59B97885E2F2EA28', '99170A5DC3115544',
+    '6F423357E7C6A9F9', '325928EE6E6F8794', 'D0E4366228B03343', '565C31F7DE89EA27',
+    '30F5611484119414', 'D873DB391292ED4F', '7BD94E1D8E17DEBC', 'C7D9F16864A76E94',
+    '947AE053EE56E63C', 'C8C93882F9475F5F', '3A9BF55BA91F81CA', 'D9A11FBB3D9808E4',
+    '0FD22063EDC29FCA', 'B3F256D8ACA0B0B9', 'B03031A8B4516E84', '35DD37D5871448AF',
+    'E9F6082B05542E4E', 'EBFAFA33D7254B59', '9255ABB50D532280', 'B9AB4CE57F2D34F3',
+    '693501D628297551', 'C62C58F97DD949BF', 'CD454F8F19C5126A', 'BBE83F4ECC2BDECB',
+    'DC842B7E2819E230', 'BA89142E007503B8', 'A3BC941D0A5061CB', 'E9F6760E32CD8021',
+    '09C7E552BC76492F', '852F54934DA55CC9', '8107FCCF064FCF56', '098954D51FFF6580',
+    '23B70EDB1955C4BF', 'C330DE426430F69D', '4715ED43E8A45C0A', 'A8D7E4DAB780A08D',
+    '0572B974F03CE0BB', 'B57D2E985E1419C7', 'E8D9ECBE2CF3D73F', '2FE4B17170E59750',
+    '11317BA87905E790', '7FBF21EC8A1F45EC', '1725CABFCB045B00', '964E915CD5E2B207',
+    '3E2B8BCBF016D66D', 'BE7444E39328A0AC', 'F85B2B4FBCDE44B7', '49353FEA39BA63B1',
+    '1DD01AAFCD53486A', '1FCA8A92FD719F85', 'FC7C95D827357AFA', '18A6A990C8B35EBD',
+    'CCCB7005C6B9C28D', '3BDBB92C43B17F26', 'AA70B5B4F89695A2', 'E94C39A54A98307F',
+    'B7A0B174CFF6F36E', 'D4DBA84729AF48AD', '2E18BC1AD9704A68', '2DE0966DAF2F8B1C',
+    'B9C11D5B1E43A07E', '64972D68DEE33360', '94628D38D0C20584', 'DBC0D2B6AB90A559',
+    'D2733C4335C6A72F', '7E75D99D94A70F4D', '6CED1983376FA72B', '97FCAACBF030BC24',
+    '7B77497B32503B12', '8547EDDFB81CCB94', '79999CDFF70902CB', 'CFFE1939438E9B24',
+    '829626E3892D95D7', '92FAE24291F2B3F1', '63E22C147B9C3403', 'C678B6D860284A1C',
+    '5873888850659AE7', '0981DCD296A8736D', '9F65789A6509A440', '9FF38FED72E9052F',
+    'E479EE5B9930578C', 'E7F28ECD2D49EECD', '56C074A581EA17FE', '5544F7D774B14AEF',
+    '7B3F0195FC6F290F', '12153635B2C0CF57', '7F5126DBBA5E0CA7', '7A76956C3EAFB413',
+    '3D5774A11D31AB39', '8A1B083821F40CB4', '7B4A38E32537DF62', '950113646D1D6E03',
+    '4DA8979A0041E8A9', '3BC36E078F7515D7', '5D0A12F27AD310D1', '7F9D1A2E1EBE1327',
+    'DA3A361B1C5157B1', 'DCDD7D20903D0C25', '36833336D068F707', 'CE68341F79893389',
+    'AB9090168DD05F34', '43954B3252DC25E5', 'B438C2B67F98E5E9', '10DCD78E3851A492',
+    'DBC27AB5447822BF', '9B3CDB65F82CA382', 'B67B7896167B4C84', 'BFCED1B0048EAC50',
+    'A9119B60369FFEBD', '1FFF7AC80904BF45', 'AC12FB171817EEE7', 'AF08DA9177DDA93D',
+    '1B0CAB936E65C744', 'B559EB1D04E5E932', 'C37B45B3F8D6F2BA', 'C3A9DC228CAAC9E9',
+    'F3B8B6675A6507FF', '9FC477DE4ED681DA', '67378D8ECCEF96CB', '6DD856D94D259236',
+    'A319CE15B0B4DB31', '073973751F12DD5E', '8A8E849EB32781A5', 'E1925C71285279F5',
+    '74C04BF1790C0EFE', '4DDA48153C94938A', '9D266D6A1CC0542C', '7440FB816508C4FE',
+    '13328503DF48229F', 'D6BF7BAEE43CAC40', '4838D65F6EF6748F', '1E152328F3318DEA',
+    '8F8419A348F296BF', '72C8834A5957B511', 'D7A023A73260B45C', '94EBC8ABCFB56DAE',
+    '9FC10D0F989993E0', 'DE68A2355B93CAE6', 'A44CFE79AE538BBE', '9D1D84FCCE371425',
+    '51D2B1AB2DDFB636', '2FD7E4B9E72CD38C', '65CA5B96B7552210', 'DD69A0D8AB3B546D',
+    '604D51B25FBF70E2', '73AA8A564FB7AC9E', '1A8C1E992B941148', 'AAC40A2703D9BEA0',
+    '764DBEAE7FA4F3A6', '1E99B96E70A9BE8B', '2C5E9DEB57EF4743', '3A938FEE32D29981',
+    '26E6DB8FFDF5ADFE', '469356C504EC9F9D', 'C8763C5B08D1908C', '3F6C6AF859D80055',
+    '7F7CC39420A3A545', '9BFB227EBDF4C5CE', '89039D79D6FC5C5C', '8FE88B57305E2AB6',
+    'A09E8C8C35AB96DE', 'FA7E393983325753', 'D6B6D0ECC617C699', 'DFEA21EA9E7557E3',
+    'B67C1FA481680AF8', 'CA1E3785A9E724E5', '1CFC8BED0D681639', 'D18D8549D140CAEA',
+    '4ED0FE7E9DC91335', 'E4DBF0634473F5D2', '1761F93A44D5AEFE', '53898E4C3910DA55',
+    '734DE8181F6EC39A', '2680B122BAA28D97', '298AF231C85BAFAB', '7983EED3740847D5',
+    '66C1A2A1A60CD889', '9E17E49642A3E4C1', 'EDB454E7BADC0805', '50B704CAB602C329',
+    '4CC317FB9CDDD023', '66B4835D9EAFEA22', '219B97E26FFC81BD', '261E4E4C0A333A9D',
+    '1FE2CCA76517DB90', 'D7504DFA8816EDBB', 'B9571FA04DC089C8', '1DDC0325259B27DE',
+    'CF3F4688801EB9AA', 'F4F5D05C10CAB243', '38B6525C21A42B0E', '36F60E2BA4FA6800',
+    'EB3593803173E0CE', '9C4CD6257C5A3603', 'AF0C317D32ADAA8A', '258E5A80C7204C4B',
+    '8B889D624D44885D', 'F4D14597E660F855', 'D4347F66EC8941C3', 'E699ED85B0DFB40D',
+    '2472F6207C2D0484', 'C2A1E7B5B459AEB5', 'AB4F6451CC1D45EC', '63767572AE3D6174',
+    'A59E0BD101731A28', '116D0016CB948F09', '2CF9C8CA052F6E9F', '0B090A7560A968E3',
+    'ABEEDDB2DDE06FF1', '58EFC10B06A2068D', 'C6E57A78FBD986E0', '2EAB8CA63CE802D7',
+    '14A195640116F336', '7C0828DD624EC390', 'D74BBE77E6116AC7', '804456AF10F5FB53',
+    'EBE9EA2ADF4321C7', '03219A39EE587A30', '49787FEF17AF9924', 'A1E9300CD8520548',
+    '5B45E522E4B1B4EF', 'B49C3B3995091A36', 'D4490AD526F14431', '12A8F216AF9418C2',
+    '001F837CC7350524', '1877B51E57A764D5', 'A2853B80F17F58EE', '993E1DE72D36D310',
+    'B3598080CE64A656', '252F59CF0D9F04BB', 'D23C8E176D113600', '1BDA0492E7E4586E',
+    '21E0BD5026C619BF', '3B097ADAF088F94E', '8D14DEDB30BE846E', 'F95CFFA23AF5F6F4',
+    '3871700761B3F743', 'CA672B91E9E4FA16', '64C8E531BFF53B55', '241260ED4AD1E87D',
+    '106C09B972D2E822', '7FBA195410E5CA30', '7884D9BC6CB569D8', '0647DFEDCD894A29',
+    '63573FF03E224774', '4FC8E9560F91B123', '1DB956E450275779', 'B8D91274B9E9D4FB',
+    'A2EBEE47E2FBFCE1', 'D9F1F30CCD97FB09', 'EFED53D75FD64E6B', '2E6D02C36017F67F',
+    'A9AA4D20DB084E9B', 'B64BE8D8B25396C1', '70CB6AF7C2D5BCF0', '98F076A4F7A2322E',
+    'BF84470805E69B5F', '94C3251F06F90CF3', '3E003E616A6591E9', 'B925A6CD0421AFF3',
+    '61BDD1307C66E300', 'BF8D5108E27E0D48', '240AB57A8B888B20', 'FC87614BAF287E07',
+    'EF02CDD06FFDB432', 'A1082C0466DF6C0A', '8215E577001332C8', 'D39BB9C3A48DB6CF',
+    '2738259634305C14', '61CF4F94C97DF93D', '1B6BACA2AE4E125B', '758F450C88572E0B',
+    '959F587D507A8359', 'B063E962E045F54D', '60E8ED72C0DFF5D1', '7B64978555326F9F',
+    'FD080D236DA814BA', '8C90FD9B083F4558', '106F72FE81E2C590', '7976033A39F7D952',
+    'A4EC0132764CA04B', '733EA705FAE4FA77', 'B4D8F77BC3E56167', '9E21F4F903B33FD9',
+    '9D765E419FB69F6D', 'D30C088BA61EA5EF', '5D94337FBFAF7F5B', '1A4E4822EB4D7A59',
+    '6FFE73E81B637FB3', 'DDF957BC36D8B9CA', '64D0E29EEA8838B3', '08DD9BDFD96B9F63',
+    '087E79E5A57D1D13', 'E328E230E3E2B3FB', '1C2559E30F0946BE', '720BF5F26F4D2EAA',
+    'B0774D261CC609DB', '443F64EC5A371195', '4112CF68649A260E', 'D813F2FAB7F5C5CA',
+    '660D3257380841EE', '59AC2C7873F910A3', 'E846963877671A17', '93B633ABFA3469F8',
+    'C0C0F5A60EF4CDCF', 'CAF21ECD4377B28C', '57277707199B8175', '506C11B9D90E8B1D',
+    'D83CC2687A19255F', '4A29C6465A314CD1', 'ED2DF21216235097', 'B5635C95FF7296E2',
+    '22AF003AB672E811', '52E762596BF68235', '9AEBA33AC6ECC6B0', '944F6DE09134DFB6',
+    '6C47BEC883A7DE39', '6AD047C430A12104', 'A5B1CFDBA0AB4067', '7C45D833AFF07862',
+    '5092EF950A16DA0B', '9338E69C052B8E7B', '455A4B4CFE30E3F5', '6B02E63195AD0CF8',
+    '6B17B224BAD6BF27', 'D1E0CCD25BB9C169', 'DE0C89A556B9AE70', '50065E535A213CF6',
+    '9C1169FA2777B874', '78EDEFD694AF1EED', '6DC93D9526A50E68', 'EE97F453F06791ED',
+    '32AB0EDB696703D3', '3A6853C7E70757A7', '31865CED6120F37D', '67FEF95D92607890',
+    '1F2B1D1F15F6DC9C', 'B69E38A8965C6B65', 'AA9119FF184CCCF4', 'F43C732873F24C13',
+    'FB4A3D794A9A80D2', '3550C2321FD6109C', '371F77E76BB8417E', '6BFA9AAE5EC05779',
+    'CD04F3FF001A4778', 'E3273522064480CA', '9F91508BFFCFC14A', '049A7F41061A9E60',
+    'FCB6BE43A9F2FE9B', '08DE8A1C7797DA9B', '8F9887E6078735A1', 'B5B4071DBFC73A66',
+    '230E343DFBA08D33', '43ED7F5A0FAE657D', '3A88A0FBBCB05C63', '21874B8B4D2DBC4F',
+    '1BDEA12E35F6A8C9', '53C065C6C8E63528', 'E34A1D250E7A8D6B', 'D6B04D3B7651DD7E',
+    '5E90277E7CB39E2D', '2C046F22062DC67D', 'B10BB459132D0A26', '3FA9DDFB67E2F199',
+    '0E09B88E1914F7AF', '10E8B35AF3EEAB37', '9EEDECA8E272B933', 'D4C718BC4AE8AE5F',
+    '81536D601170FC20', '91B534F885818A06', 'EC8177F83F900978', '190E714FADA5156E',
+    'B592BF39B0364963', '89C350C893AE7DC1', 'AC042E70F8B383F2', 'B49B52E587A1EE60',
+    'FB152FE3FF26DA89', '3E666E6F69AE2C15', '3B544EBE544C19F9', 'E805A1E290CF2456',
+    '24B33C9D7ED25117', 'E74733427B72F0C1', '0A804D18B7097475', '57E3306D881EDB4F',
+    '4AE7D6A36EB5DBCB', '2D8D5432157064C8', 'D1E649DE1E7F268B', '8A328A1CEDFE552C',
+    '07A3AEC79624C7DA', '84547DDC3E203C94', '990A98FD5071D263', '1A4FF12616EEFC89',
+    'F6F7FD1431714200', '30C05B1BA332F41C', '8D2636B81555A786', '46C9FEB55D120902',
+    'CCEC0A73B49C9921', '4E9D2827355FC492', '19EBB029435DCB0F', '4659D2B743848A2C',
+    '963EF2C96B33BE31', '74F85198B05A2E7D', '5A0F544DD2B1FB18', '03727073C2E134B1',
+    'C7F6AA2DE59AEA61', '352787BAA0D7C22F', '9853EAB63B5E0B35', 'ABBDCDD7ED5C0860',
+    'CF05DAF5AC8D77B0', '49CAD48CEBF4A71E', '7A4C10EC2158C4A6', 'D9E92AA246BF719E',
+    '13AE978D09FE5557', '730499AF921549FF', '4E4B705B92903BA4', 'FF577222C14F0A3A',
+    '55B6344CF97AAFAE', 'B862225B055B6960', 'CAC09AFBDDD2CDB4', 'DAF8E9829FE96B5F',
+    'B5FDFC5D3132C498', '310CB380DB6F7503', 'E87FBB46217A360E', '2102AE466EBB1148',
+    'F8549E1A3AA5E00D', '07A69AFDCC42261A', 'C4C118BFE78FEAAE', 'F9F4892ED96BD438',
+    '1AF3DBE25D8F45DA', 'F5B4B0B0D2DEEEB4', '962ACEEFA82E1C84', '046E3ECAAF453CE9',
+    'F05D129681949A4C', '964781CE734B3C84', '9C2ED44081CE5FBD', '522E23F3925E319E',
+    '177E00F9FC32F791', '2BC60A63A6F3B3F2', '222BBFAE61725606', '486289DDCC3D6780',
+    '7DC7785B8EFDFC80', '8AF38731C02BA980', '1FAB64EA29A2DDF7', 'E4D9429322CD065A',
+    '9DA058C67844F20C', '24C0E332B70019B0', '233003B5A6CFE6AD', 'D586BD01C5C217F6',
+    '5E5637885F29BC2B', '7EBA726D8C94094B', '0A56A5F0BFE39272', 'D79476A84EE20D06',
+    '9E4C1269BAA4BF37', '17EFEE45B0DEE640', '1D95B0A5FCF90BC6', '93CBE0B699C2585D',
+    '65FA4F227A2B6D79', 'D5F9E858292504D5', 'C2B5A03F71471A6F', '59300222B4561E00',
+    'CE2F8642CA0712DC', '7CA9723FBB2E8988', '2785338347F2BA08', 'C61BB3A141E50E8C',
+    '150F361DAB9DEC26', '9F6A419D382595F4', '64A53DC924FE7AC9', '142DE49FFF7A7C3D',
+    '0C335248857FA9E7', '0A9C32D5EAE45305', 'E6C42178C4BBB92E', '71F1CE2490D20B07',
+    'F1BCC3D275AFE51A', 'E728E8C83C334074', '96FBF83A12884624', '81A1549FD6573DA5',
+    '5FA7867CAF35E149', '56986E2EF3ED091B', '917F1DD5F8886C61', 'D20D8C88C8FFE65F',
+    '31D71DCE64B2C310', 'F165B587DF898190', 'A57E6339DD2CF3A0', '1EF6E6DBB1961EC9',
+    '70CC73D90BC26E24', 'E21A6B35DF0C3AD7', '003A93D8B2806962', '1C99DED33CB890A1',
+    'CF3145DE0ADD4289', 'D0E4427A5514FB72', '77C621CC9FB3A483', '67A34DAC4356550B',
+    'F8D626AAAF278509'
+  ];
+  const CASTLING_KEY_OFFSET = 768;
+  const EN_PASSANT_KEY_OFFSET = 772;
+  const TURN_KEY_OFFSET = 780;
+  
+  // Keys are kept as paired 32-bit halves so they can be XORed as numbers
+  const ZOBRIST_HI = new Uint32Array(POLYGLOT_RANDOM.map(key => parseInt(key.slice(0, 8), 16)));
+  const ZOBRIST_LO = new Uint32Array(POLYGLOT_RANDOM.map(key => parseInt(key.slice(8), 16)));
+  
+  // Extra keys, outside Polyglot, for Crazyhouse's promoted-piece markers
+  const PROMOTED_HI = new Uint32Array(64);
+  const PROMOTED_LO = new Uint32Array(64);
+  const zobristRandom = seededRandom('zobrist');
+  for (let i = 0; i < 64; i++) {
+    PROMOTED_HI[i] = Math.floor(zobristRandom() * 4294967296);
+    PROMOTED_LO[i] = Math.floor(zobristRandom() * 4294967296);
+  }
+  
+  const POLYGLOT_PIECE_KINDS = { p: 0, n: 1, b: 2, r: 3, q: 4, k: 5 };
+  
+  // Index of a piece on a 0x88 square in the Polyglot table
+  // (kind: black pawn 0, white pawn 1, black knight 2, ...; rank 1 first)
+  function pieceKeyIndex(piece, sq) {
+    const kind = POLYGLOT_PIECE_KINDS[piece.type] * 2 + (piece.color === COLORS.WHITE ? 1 : 0);
+    return kind * 64 + (7 - (sq >> 4)) * 8 + (sq & 7);
+  }
+  
+  // Two 32-bit hashes of a string (variant state such as pockets):
+  // FNV-1a and the same scheme with a different seed and multiplier
+  function hashString(text) {
+    let hi = 0x811c9dc5;
+    let lo = 0x050c5d1f;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      hi = Math.imul(hi ^ code, 16777619) >>> 0;
+      lo = Math.imul(lo ^ code, 0x5bd1e995) >>> 0;
+    }
+    return [hi, lo];
+  }
+  
+  function toHex32(value) {
+    return (value >>> 0).toString(16).padStart(8, '0');
+  }
+  
   class Chess {
-    constructor(fen = STARTING_FEN) {
+    // options.strict: reject malformed FEN with a FenError instead of guessing
+    // options.chess960: Chess960 castling rules (castling moves go to the rook's square)
+    // options.variant: key of a rules variant in VARIANTS (default 'standard')
+    constructor(fen, options = {}) {
       this.reset();
-      if (fen !== STARTING_FEN) {
-        this.loadFen(fen);
-      }
+      this.variant = getVariant(options.variant) || VARIANTS.standard;
+      this.chess960 = !!(options.chess960 || this.variant.chess960);
+      this.loadFen(fen || this.variant.startFen || STARTING_FEN, options);
     }
     
     reset() {
-      this.board = this.createEmptyBoard();
+      this.squares = new Array(128).fill(null);
+      this.kings = { w: -1, b: -1 };
       this.turn = COLORS.WHITE;
+      this.variant = VARIANTS.standard;
+      this.chess960 = false;
       this.castling = { K: true, Q: true, k: true, q: true };
+      // File of the rook each castling right refers to
+      this.castlingRooks = { K: 7, Q: 0, k: 7, q: 0 };
+      this.pockets = emptyPockets();
       this.enPassant = null;
       this.halfMoves = 0;
       this.fullMoves = 1;
       this.moveHistory = [];
       this.positionHistory = [];
+      this.headers = {};
+      this.comments = [];
       this.loadFen(STARTING_FEN);
     }
     
+    // 8x8 view of the position (row 0 = rank 8), rebuilt on every access
+    get board() {
+      const board = [];
+      for (let row = 0; row < 8; row++) {
+        board.push(this.squares.slice(row * 16, row * 16 + 8));
+      }
+      return board;
+    }
+    
     createEmptyBoard() {
       return Array(8).fill(null).map(() => Array(8).fill(null));
     }
@@ -63,31 +629,59 @@ const ChessEngine = (function() {
     }
     
     get(square) {
-      const idx = this.algebraicToIndex(square);
-      if (!idx) return null;
-      return this.board[idx.row][idx.col];
+      const sq = SQUARE_INDEX[square];
+      if (sq === undefined) return null;
+      return this.squares[sq];
     }
     
     put(piece, square) {
-      const idx = this.algebraicToIndex(square);
-      if (!idx) return false;
-      this.board[idx.row][idx.col] = piece;
+      const sq = SQUARE_INDEX[square];
+      if (sq === undefined) return false;
+      this.squares[sq] = piece;
+      this.updateKings();
+      this.computeHash();
       return true;
     }
     
     remove(square) {
-      const idx = this.algebraicToIndex(square);
-      if (!idx) return null;
-      const piece = this.board[idx.row][idx.col];
-      this.board[idx.row][idx.col] = null;
+      const sq = SQUARE_INDEX[square];
+      if (sq === undefined) return null;
+      const piece = this.squares[sq];
+      this.squares[sq] = null;
+      this.updateKings();
+      this.computeHash();
       return piece;
     }
     
-    loadFen(fen) {
-      const parts = fen.split(' ');
+    // King squares are tracked by makeMove; this rescans after direct edits
+    updateKings() {
+      this.kings = { w: -1, b: -1 };
+      for (let sq = 0; sq < 128; sq++) {
+        const piece = this.squares[sq];
+        if (piece && piece.type === PIECES.KING && this.kings[piece.color] < 0) {
+          this.kings[piece.color] = sq;
+        }
+      }
+    }
+    
+    // Lenient by default: missing fields are filled in. With { strict: true }
+    // the FEN is checked by validateFen first and a FenError is thrown
+    // (leaving the position untouched) if it has any problems.
+    loadFen(fen, options = {}) {
+      if (options.strict) {
+        const { valid, errors } = validateFen(fen, { chess960: this.chess960, variant: this.variant.key });
+        if (!valid) throw new FenError(errors);
+      }
+      
+      let parts = fen.trim().split(/\s+/);
+      if (this.variant.parseFen) {
+        const parsed = this.variant.parseFen(parts);
+        parts = parsed.fields;
+        Object.assign(this, parsed.state);
+      }
       const position = parts[0];
       
-      this.board = this.createEmptyBoard();
+      this.squares = new Array(128).fill(null);
       
       let row = 0, col = 0;
       for (const char of position) {
@@ -96,44 +690,50 @@ const ChessEngine = (function() {
           col = 0;
         } else if (/[1-8]/.test(char)) {
           col += parseInt(char);
+        } else if (char === '~') {
+          // Crazyhouse: the piece before it was promoted and is captured as a pawn
+          const piece = this.squares[row * 16 + col - 1];
+          if (piece && this.variant.pockets) {
+            this.squares[row * 16 + col - 1] = { ...piece, promoted: true };
+          }
         } else {
           const color = char === char.toUpperCase() ? COLORS.WHITE : COLORS.BLACK;
           const type = char.toLowerCase();
-          this.board[row][col] = { type, color };
+          if (row < 8 && col < 8) {
+            this.squares[row * 16 + col] = { type, color };
+          }
           col++;
         }
       }
+      this.updateKings();
       
       this.turn = parts[1] === 'b' ? COLORS.BLACK : COLORS.WHITE;
       
-      const castlingStr = parts[2] || 'KQkq';
-      this.castling = {
-        K: castlingStr.includes('K'),
-        Q: castlingStr.includes('Q'),
-        k: castlingStr.includes('k'),
-        q: castlingStr.includes('q')
-      };
+      this.loadCastling(parts[2] || 'KQkq');
       
       this.enPassant = parts[3] !== '-' ? parts[3] : null;
       this.halfMoves = parseInt(parts[4]) || 0;
       this.fullMoves = parseInt(parts[5]) || 1;
+      this.computeHash();
       this.positionHistory = [this.getPositionKey()];
     }
     
-    fen() {
+    // options.shredder: write Chess960 castling rights as rook files (HAha)
+    // instead of X-FEN, which only uses files when KQkq would be ambiguous
+    fen(options = {}) {
       let fen = '';
       
       for (let row = 0; row < 8; row++) {
         let emptyCount = 0;
         for (let col = 0; col < 8; col++) {
-          const piece = this.board[row][col];
+          const piece = this.squares[row * 16 + col];
           if (piece) {
             if (emptyCount > 0) {
               fen += emptyCount;
               emptyCount = 0;
             }
             const char = piece.color === COLORS.WHITE ? piece.type.toUpperCase() : piece.type;
-            fen += char;
+            fen += piece.promoted ? char + '~' : char;
           } else {
             emptyCount++;
           }
@@ -142,365 +742,460 @@ const ChessEngine = (function() {
         if (row < 7) fen += '/';
       }
       
-      fen += ' ' + this.turn;
+      let fields = [
+        fen,
+        this.turn,
+        this.castlingFen(options),
+        this.enPassant || '-',
+        this.halfMoves,
+        this.fullMoves
+      ];
+      if (this.variant.writeFen) {
+        fields = this.variant.writeFen(this, fields);
+      }
       
-      let castling = '';
-      if (this.castling.K) castling += 'K';
-      if (this.castling.Q) castling += 'Q';
-      if (this.castling.k) castling += 'k';
-      if (this.castling.q) castling += 'q';
-      fen += ' ' + (castling || '-');
+      return fields.join(' ');
+    }
+    
+    // Reads a castling field: KQkq, or rook files (Shredder-FEN / X-FEN),
+    // which switches the position to Chess960 rules
+    loadCastling(field) {
+      this.castling = { K: false, Q: false, k: false, q: false };
+      this.castlingRooks = { K: 7, Q: 0, k: 7, q: 0 };
+      if (field === '-') return;
       
-      fen += ' ' + (this.enPassant || '-');
-      fen += ' ' + this.halfMoves + ' ' + this.fullMoves;
+      for (const char of field) {
+        const color = char === char.toUpperCase() ? COLORS.WHITE : COLORS.BLACK;
+        const kingCol = this.backRankKingCol(color);
+        let side, rookCol;
+        
+        if (/[KQkq]/.test(char)) {
+          side = char.toLowerCase();
+          rookCol = this.chess960 ? this.findCastlingRook(color, side) : (side === 'k' ? 7 : 0);
+        } else if (/[A-Ha-h]/.test(char) && kingCol >= 0) {
+          this.chess960 = true;
+          rookCol = FILES.indexOf(char.toLowerCase());
+          side = rookCol > kingCol ? 'k' : 'q';
+        } else {
+          continue;
+        }
+        
+        const right = castlingRight(color, side);
+        this.castling[right] = true;
+        this.castlingRooks[right] = rookCol;
+      }
+    }
+    
+    // File of the king on its own back rank, or -1
+    backRankKingCol(color) {
+      const king = this.kings[color];
+      const row = color === COLORS.WHITE ? 7 : 0;
+      return king >= 0 && (king >> 4) === row ? king & 7 : -1;
+    }
+    
+    // Outermost rook on the given side of the king on its back rank
+    findCastlingRook(color, side) {
+      const row = color === COLORS.WHITE ? 7 : 0;
+      const kingCol = this.backRankKingCol(color);
+      const isRook = (col) => {
+        const piece = this.squares[row * 16 + col];
+        return piece && piece.type === PIECES.ROOK && piece.color === color;
+      };
       
-      return fen;
+      if (side === 'k') {
+        for (let col = 7; col > kingCol; col--) if (isRook(col)) return col;
+        return 7;
+      }
+      for (let col = 0; col < kingCol; col++) if (isRook(col)) return col;
+      return 0;
     }
     
-    getPositionKey() {
-      let key = '';
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const piece = this.board[row][col];
-          if (piece) {
-            key += piece.color + piece.type + row + col;
-          }
+    castlingFen(options = {}) {
+      let field = '';
+      for (const right of CASTLING_RIGHTS) {
+        if (!this.castling[right]) continue;
+        
+        const color = right === right.toUpperCase() ? COLORS.WHITE : COLORS.BLACK;
+        const rookCol = this.castlingRooks[right];
+        const isOutermost = this.findCastlingRook(color, right.toLowerCase()) === rookCol;
+        
+        if (!this.chess960 || (!options.shredder && isOutermost)) {
+          field += right;
+        } else {
+          field += color === COLORS.WHITE ? FILES[rookCol].toUpperCase() : FILES[rookCol];
         }
       }
-      key += this.turn;
-      key += JSON.stringify(this.castling);
-      key += this.enPassant || '';
-      return key;
+      return field || '-';
     }
     
-    findKing(color) {
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const piece = this.board[row][col];
-          if (piece && piece.type === PIECES.KING && piece.color === color) {
-            return { row, col };
-          }
+    // Key used for repetition detection
+    getPositionKey() {
+      return this.hash();
+    }
+    
+    // ===== Zobrist Hashing =====
+    
+    // 64-bit Zobrist key as 16 hex digits. The board part (hashHi/hashLo) is
+    // updated incrementally by makeMove; variant state from the positionKey
+    // hook is mixed in here. For standard chess it is the Polyglot key.
+    hash() {
+      let hi = this.hashHi;
+      let lo = this.hashLo;
+      if (this.variant.positionKey) {
+        const [variantHi, variantLo] = hashString(this.variant.positionKey(this));
+        hi ^= variantHi;
+        lo ^= variantLo;
+      }
+      return toHex32(hi) + toHex32(lo);
+    }
+    
+    // Hash from scratch: pieces, castling rights, en passant file, side to move
+    computeHash() {
+      this.hashHi = 0;
+      this.hashLo = 0;
+      for (let sq = 0; sq < 128; sq++) {
+        const piece = this.squares[sq];
+        if (piece) this.xorPiece(piece, sq);
+      }
+      CASTLING_RIGHTS.forEach((right, i) => {
+        if (this.castling[right]) this.xorKey(CASTLING_KEY_OFFSET + i);
+      });
+      this.xorEnPassant();
+      if (this.turn === COLORS.WHITE) this.xorKey(TURN_KEY_OFFSET);
+    }
+    
+    xorKey(index) {
+      this.hashHi = (this.hashHi ^ ZOBRIST_HI[index]) >>> 0;
+      this.hashLo = (this.hashLo ^ ZOBRIST_LO[index]) >>> 0;
+    }
+    
+    xorPiece(piece, sq) {
+      this.xorKey(pieceKeyIndex(piece, sq));
+      if (piece.promoted) {
+        const index = (7 - (sq >> 4)) * 8 + (sq & 7);
+        this.hashHi = (this.hashHi ^ PROMOTED_HI[index]) >>> 0;
+        this.hashLo = (this.hashLo ^ PROMOTED_LO[index]) >>> 0;
+      }
+    }
+    
+    // As in Polyglot, the en passant file only counts when a pawn of the side
+    // to move stands next to the pawn that just made a double step
+    xorEnPassant() {
+      if (!this.enPassant) return;
+      const target = SQUARE_INDEX[this.enPassant];
+      if (target === undefined) return;
+      
+      const pushed = target + (this.turn === COLORS.WHITE ? 16 : -16);
+      for (const sq of [pushed - 1, pushed + 1]) {
+        if (sq & 0x88) continue;
+        const piece = this.squares[sq];
+        if (piece && piece.type === PIECES.PAWN && piece.color === this.turn) {
+          this.xorKey(EN_PASSANT_KEY_OFFSET + (target & 7));
+          return;
         }
       }
-      return null;
+    }
+    
+    findKing(color) {
+      const king = this.kings[color];
+      return king >= 0 ? { row: king >> 4, col: king & 7 } : null;
     }
     
     isSquareAttacked(row, col, byColor) {
-      // Knight attacks
-      const knightMoves = [
-        [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-        [1, -2], [1, 2], [2, -1], [2, 1]
-      ];
-      for (const [dr, dc] of knightMoves) {
-        const r = row + dr, c = col + dc;
-        if (r >= 0 && r < 8 && c >= 0 && c < 8) {
-          const piece = this.board[r][c];
-          if (piece && piece.type === PIECES.KNIGHT && piece.color === byColor) {
-            return true;
-          }
-        }
+      return this.isAttacked(row * 16 + col, byColor);
+    }
+    
+    // Whether byColor attacks a 0x88 square
+    isAttacked(sq, byColor) {
+      const squares = this.squares;
+      
+      for (const offset of KNIGHT_OFFSETS) {
+        const from = sq + offset;
+        if (from & 0x88) continue;
+        const piece = squares[from];
+        if (piece && piece.type === PIECES.KNIGHT && piece.color === byColor) return true;
       }
       
-      // King attacks
-      const kingMoves = [
-        [-1, -1], [-1, 0], [-1, 1], [0, -1],
-        [0, 1], [1, -1], [1, 0], [1, 1]
-      ];
-      for (const [dr, dc] of kingMoves) {
-        const r = row + dr, c = col + dc;
-        if (r >= 0 && r < 8 && c >= 0 && c < 8) {
-          const piece = this.board[r][c];
-          if (piece && piece.type === PIECES.KING && piece.color === byColor) {
-            return true;
-          }
-        }
+      for (const offset of KING_OFFSETS) {
+        const from = sq + offset;
+        if (from & 0x88) continue;
+        const piece = squares[from];
+        if (piece && piece.type === PIECES.KING && piece.color === byColor) return true;
+      }
+      
+      // White pawns attack towards row 0, so they sit one row below the target
+      const pawnRow = byColor === COLORS.WHITE ? 16 : -16;
+      for (const from of [sq + pawnRow - 1, sq + pawnRow + 1]) {
+        if (from & 0x88) continue;
+        const piece = squares[from];
+        if (piece && piece.type === PIECES.PAWN && piece.color === byColor) return true;
       }
       
-      // Pawn attacks
-      const pawnDir = byColor === COLORS.WHITE ? 1 : -1;
-      for (const dc of [-1, 1]) {
-        const r = row + pawnDir, c = col + dc;
-        if (r >= 0 && r < 8 && c >= 0 && c < 8) {
-          const piece = this.board[r][c];
-          if (piece && piece.type === PIECES.PAWN && piece.color === byColor) {
-            return true;
+      for (const offset of KING_OFFSETS) {
+        const diagonal = offset === -17 || offset === -15 || offset === 15 || offset === 17;
+        let from = sq + offset;
+        while (!(from & 0x88)) {
+          const piece = squares[from];
+          if (piece) {
+            if (piece.color === byColor &&
+                (piece.type === PIECES.QUEEN || piece.type === (diagonal ? PIECES.BISHOP : PIECES.ROOK))) {
+              return true;
+            }
+            break;
           }
+          from += offset;
         }
       }
       
-      // Sliding pieces
-      const directions = [
-        { dr: -1, dc: 0, pieces: [PIECES.ROOK, PIECES.QUEEN] },
-        { dr: 1, dc: 0, pieces: [PIECES.ROOK, PIECES.QUEEN] },
-        { dr: 0, dc: -1, pieces: [PIECES.ROOK, PIECES.QUEEN] },
-        { dr: 0, dc: 1, pieces: [PIECES.ROOK, PIECES.QUEEN] },
-        { dr: -1, dc: -1, pieces: [PIECES.BISHOP, PIECES.QUEEN] },
-        { dr: -1, dc: 1, pieces: [PIECES.BISHOP, PIECES.QUEEN] },
-        { dr: 1, dc: -1, pieces: [PIECES.BISHOP, PIECES.QUEEN] },
-        { dr: 1, dc: 1, pieces: [PIECES.BISHOP, PIECES.QUEEN] }
-      ];
+      return false;
+    }
+    
+    // Squares of byColor's pieces that attack a square; squares listed in
+    // `ignore` count as empty, so pieces behind them are seen (used for
+    // exchange evaluation)
+    attackers(square, byColor, ignore = null) {
+      const sq = SQUARE_INDEX[square];
+      const squares = this.squares;
+      const result = [];
+      const pieceAt = from => (ignore && ignore.has(SQUARE_NAMES[from]) ? null : squares[from]);
+      
+      for (const offset of KNIGHT_OFFSETS) {
+        const from = sq + offset;
+        if (from & 0x88) continue;
+        const piece = pieceAt(from);
+        if (piece && piece.type === PIECES.KNIGHT && piece.color === byColor) result.push(SQUARE_NAMES[from]);
+      }
+      
+      for (const offset of KING_OFFSETS) {
+        const from = sq + offset;
+        if (from & 0x88) continue;
+        const piece = pieceAt(from);
+        if (piece && piece.type === PIECES.KING && piece.color === byColor) result.push(SQUARE_NAMES[from]);
+      }
+      
+      const pawnRow = byColor === COLORS.WHITE ? 16 : -16;
+      for (const from of [sq + pawnRow - 1, sq + pawnRow + 1]) {
+        if (from & 0x88) continue;
+        const piece = pieceAt(from);
+        if (piece && piece.type === PIECES.PAWN && piece.color === byColor) result.push(SQUARE_NAMES[from]);
+      }
       
-      for (const { dr, dc, pieces } of directions) {
-        let r = row + dr, c = col + dc;
-        while (r >= 0 && r < 8 && c >= 0 && c < 8) {
-          const piece = this.board[r][c];
+      for (const offset of KING_OFFSETS) {
+        const diagonal = offset === -17 || offset === -15 || offset === 15 || offset === 17;
+        let from = sq + offset;
+        while (!(from & 0x88)) {
+          const piece = pieceAt(from);
           if (piece) {
-            if (piece.color === byColor && pieces.includes(piece.type)) {
-              return true;
+            if (piece.color === byColor &&
+                (piece.type === PIECES.QUEEN || piece.type === (diagonal ? PIECES.BISHOP : PIECES.ROOK))) {
+              result.push(SQUARE_NAMES[from]);
             }
             break;
           }
-          r += dr;
-          c += dc;
+          from += offset;
         }
       }
       
-      return false;
+      return result;
     }
     
     inCheck() {
-      const king = this.findKing(this.turn);
-      if (!king) return false;
-      const enemyColor = this.turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-      return this.isSquareAttacked(king.row, king.col, enemyColor);
+      const king = this.kings[this.turn];
+      if (king < 0) return false;
+      return this.isAttacked(king, this.turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE);
     }
     
+    // Pseudo-legal moves of the piece on a square (king safety not checked)
     generatePieceMoves(row, col) {
-      const piece = this.board[row][col];
-      if (!piece) return [];
-      
       const moves = [];
+      this.generateMovesFrom(row * 16 + col, moves);
+      return moves;
+    }
+    
+    generateMovesFrom(from, moves) {
+      const squares = this.squares;
+      const piece = squares[from];
+      if (!piece) return;
+      
       const { type, color } = piece;
+      const fromName = SQUARE_NAMES[from];
       
-      const addMove = (toRow, toCol, flags = {}) => {
-        if (toRow >= 0 && toRow < 8 && toCol >= 0 && toCol < 8) {
-          const target = this.board[toRow][toCol];
-          if (!target || target.color !== color) {
-            moves.push({
-              from: this.indexToAlgebraic(row, col),
-              to: this.indexToAlgebraic(toRow, toCol),
-              piece: type,
-              color,
-              captured: target ? target.type : null,
-              ...flags
-            });
-          }
-        }
+      const addMove = (to, flags) => {
+        const target = squares[to];
+        const move = {
+          from: fromName,
+          to: SQUARE_NAMES[to],
+          piece: type,
+          color,
+          captured: target ? target.type : null
+        };
+        moves.push(flags ? Object.assign(move, flags) : move);
       };
       
-      switch (type) {
-        case PIECES.PAWN: {
-          const dir = color === COLORS.WHITE ? -1 : 1;
-          const startRow = color === COLORS.WHITE ? 6 : 1;
-          const promotionRow = color === COLORS.WHITE ? 0 : 7;
-          
-          if (!this.board[row + dir]?.[col]) {
-            if (row + dir === promotionRow) {
-              for (const promo of [PIECES.QUEEN, PIECES.ROOK, PIECES.BISHOP, PIECES.KNIGHT]) {
-                addMove(row + dir, col, { promotion: promo });
-              }
-            } else {
-              addMove(row + dir, col);
-              if (row === startRow && !this.board[row + 2 * dir][col]) {
-                addMove(row + 2 * dir, col, { doublePawn: true });
-              }
-            }
+      if (type === PIECES.PAWN) {
+        const dir = color === COLORS.WHITE ? -16 : 16;
+        const startRow = color === COLORS.WHITE ? 6 : 1;
+        const promotionRow = color === COLORS.WHITE ? 0 : 7;
+        const addPawnMove = (to, flags) => {
+          if ((to >> 4) === promotionRow) {
+            for (const promo of PROMOTION_PIECES) addMove(to, { ...flags, promotion: promo });
+          } else {
+            addMove(to, flags);
           }
-          
-          for (const dc of [-1, 1]) {
-            const toCol = col + dc;
-            if (toCol >= 0 && toCol < 8) {
-              const target = this.board[row + dir][toCol];
-              if (target && target.color !== color) {
-                if (row + dir === promotionRow) {
-                  for (const promo of [PIECES.QUEEN, PIECES.ROOK, PIECES.BISHOP, PIECES.KNIGHT]) {
-                    addMove(row + dir, toCol, { promotion: promo });
-                  }
-                } else {
-                  addMove(row + dir, toCol);
-                }
-              }
-              const epSquare = this.indexToAlgebraic(row + dir, toCol);
-              if (this.enPassant === epSquare) {
-                addMove(row + dir, toCol, { enPassant: true, captured: PIECES.PAWN });
-              }
-            }
+        };
+        
+        const ahead = from + dir;
+        if (!(ahead & 0x88) && !squares[ahead]) {
+          addPawnMove(ahead);
+          if ((from >> 4) === startRow && !squares[ahead + dir]) {
+            addMove(ahead + dir, { doublePawn: true });
           }
-          break;
         }
         
-        case PIECES.KNIGHT: {
-          const offsets = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
-          for (const [dr, dc] of offsets) {
-            addMove(row + dr, col + dc);
+        for (const to of [ahead - 1, ahead + 1]) {
+          if (to & 0x88) continue;
+          const target = squares[to];
+          if (target && target.color !== color) {
+            addPawnMove(to);
+          } else if (this.enPassant === SQUARE_NAMES[to]) {
+            addMove(to, { enPassant: true, captured: PIECES.PAWN });
           }
-          break;
         }
-        
-        case PIECES.BISHOP: {
-          const directions = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
-          for (const [dr, dc] of directions) {
-            let r = row + dr, c = col + dc;
-            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
-              const target = this.board[r][c];
-              addMove(r, c);
-              if (target) break;
-              r += dr;
-              c += dc;
-            }
+        return;
+      }
+      
+      const sliding = SLIDING_PIECES.includes(type);
+      for (const offset of PIECE_OFFSETS[type]) {
+        let to = from + offset;
+        while (!(to & 0x88)) {
+          const target = squares[to];
+          if (target) {
+            if (target.color !== color) addMove(to);
+            break;
           }
-          break;
+          addMove(to);
+          if (!sliding) break;
+          to += offset;
         }
+      }
+      
+      if (type === PIECES.KING) {
+        this.generateCastling(from, moves);
+      }
+    }
+    
+    generateCastling(from, moves) {
+      const squares = this.squares;
+      const color = squares[from].color;
+      const enemyColor = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+      const row = color === COLORS.WHITE ? 7 : 0;
+      const col = from & 7;
+      const onHomeSquare = (from >> 4) === row && (this.chess960 || col === 4);
+      
+      if (!onHomeSquare || this.isAttacked(from, enemyColor)) return;
+      
+      for (const side of ['k', 'q']) {
+        const right = castlingRight(color, side);
+        if (!this.castling[right]) continue;
         
-        case PIECES.ROOK: {
-          const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
-          for (const [dr, dc] of directions) {
-            let r = row + dr, c = col + dc;
-            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
-              const target = this.board[r][c];
-              addMove(r, c);
-              if (target) break;
-              r += dr;
-              c += dc;
-            }
-          }
-          break;
+        const rookCol = this.castlingRooks[right];
+        const rook = squares[row * 16 + rookCol];
+        if (!rook || rook.type !== PIECES.ROOK || rook.color !== color) continue;
+        
+        // King ends on the g/c file and the rook next to it, whatever the start files
+        const kingTo = side === 'k' ? 6 : 2;
+        const rookTo = side === 'k' ? 5 : 3;
+        
+        // Both paths must be empty apart from the castling king and rook
+        const low = Math.min(col, kingTo, rookCol, rookTo);
+        const high = Math.max(col, kingTo, rookCol, rookTo);
+        let allowed = true;
+        for (let c = low; c <= high && allowed; c++) {
+          if (c !== col && c !== rookCol && squares[row * 16 + c]) allowed = false;
         }
         
-        case PIECES.QUEEN: {
-          const directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-          for (const [dr, dc] of directions) {
-            let r = row + dr, c = col + dc;
-            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
-              const target = this.board[r][c];
-              addMove(r, c);
-              if (target) break;
-              r += dr;
-              c += dc;
-            }
-          }
-          break;
+        // The king may not cross or land on an attacked square
+        const step = kingTo > col ? 1 : -1;
+        for (let c = col + step; allowed && c !== kingTo + step; c += step) {
+          if (this.isAttacked(row * 16 + c, enemyColor)) allowed = false;
         }
         
-        case PIECES.KING: {
-          const directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-          for (const [dr, dc] of directions) {
-            addMove(row + dr, col + dc);
-          }
-          
-          const enemyColor = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-          const kingRow = color === COLORS.WHITE ? 7 : 0;
-          
-          if (row === kingRow && col === 4 && !this.isSquareAttacked(row, col, enemyColor)) {
-            const canKingside = color === COLORS.WHITE ? this.castling.K : this.castling.k;
-            if (canKingside &&
-                !this.board[row][5] && !this.board[row][6] &&
-                !this.isSquareAttacked(row, 5, enemyColor) &&
-                !this.isSquareAttacked(row, 6, enemyColor)) {
-              moves.push({
-                from: this.indexToAlgebraic(row, col),
-                to: this.indexToAlgebraic(row, 6),
-                piece: type,
-                color,
-                castling: 'k'
-              });
-            }
-            
-            const canQueenside = color === COLORS.WHITE ? this.castling.Q : this.castling.q;
-            if (canQueenside &&
-                !this.board[row][1] && !this.board[row][2] && !this.board[row][3] &&
-                !this.isSquareAttacked(row, 2, enemyColor) &&
-                !this.isSquareAttacked(row, 3, enemyColor)) {
-              moves.push({
-                from: this.indexToAlgebraic(row, col),
-                to: this.indexToAlgebraic(row, 2),
-                piece: type,
-                color,
-                castling: 'q'
-              });
-            }
-          }
-          break;
+        if (allowed) {
+          moves.push({
+            from: SQUARE_NAMES[from],
+            to: SQUARE_NAMES[row * 16 + (this.chess960 ? rookCol : kingTo)],
+            piece: PIECES.KING,
+            color,
+            castling: side
+          });
         }
       }
-      
-      return moves;
     }
     
     moves(options = {}) {
-      const allMoves = [];
       const square = options.square;
+      const pseudoMoves = [];
       
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const piece = this.board[row][col];
-          if (piece && piece.color === this.turn) {
-            const squareNotation = this.indexToAlgebraic(row, col);
-            if (square && square !== squareNotation) continue;
-            
-            const pieceMoves = this.generatePieceMoves(row, col);
-            for (const move of pieceMoves) {
-              if (this.isLegalMove(move)) {
-                allMoves.push(move);
-              }
-            }
+      if (square) {
+        const sq = SQUARE_INDEX[square];
+        const piece = sq === undefined ? null : this.squares[sq];
+        if (piece && piece.color === this.turn) this.generateMovesFrom(sq, pseudoMoves);
+      } else {
+        for (let sq = 0; sq < 128; sq++) {
+          if (sq & 0x88) {
+            sq += 7;
+            continue;
           }
+          const piece = this.squares[sq];
+          if (piece && piece.color === this.turn) this.generateMovesFrom(sq, pseudoMoves);
+        }
+        
+        // Drops start from the pocket, so they are only listed without a square filter
+        if (this.variant.pockets) {
+          pseudoMoves.push(...this.generateDrops());
         }
       }
       
-      return allMoves;
-    }
-    
-    isLegalMove(move) {
-      const backup = this.makeTemporaryMove(move);
-      const king = this.findKing(move.color);
-      const enemyColor = move.color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-      const inCheck = king ? this.isSquareAttacked(king.row, king.col, enemyColor) : true;
-      this.undoTemporaryMove(backup);
-      return !inCheck;
+      return pseudoMoves.filter(move =>
+        this.isLegalMove(move) &&
+        (!this.variant.isLegalMove || this.variant.isLegalMove(this, move))
+      );
     }
     
-    makeTemporaryMove(move) {
-      const fromIdx = this.algebraicToIndex(move.from);
-      const toIdx = this.algebraicToIndex(move.to);
-      
-      const backup = {
-        board: JSON.parse(JSON.stringify(this.board)),
-        castling: { ...this.castling },
-        enPassant: this.enPassant,
-        halfMoves: this.halfMoves,
-        turn: this.turn
-      };
-      
-      const piece = this.board[fromIdx.row][fromIdx.col];
-      this.board[toIdx.row][toIdx.col] = piece;
-      this.board[fromIdx.row][fromIdx.col] = null;
-      
-      if (move.promotion) {
-        this.board[toIdx.row][toIdx.col] = { type: move.promotion, color: piece.color };
-      }
-      
-      if (move.enPassant) {
-        const capturedRow = piece.color === COLORS.WHITE ? toIdx.row + 1 : toIdx.row - 1;
-        this.board[capturedRow][toIdx.col] = null;
-      }
+    // Pocket pieces may be dropped on any empty square; pawns not on the first or last rank
+    generateDrops() {
+      const drops = [];
+      const pocket = this.pockets[this.turn];
       
-      if (move.castling) {
-        const rookFromCol = move.castling === 'k' ? 7 : 0;
-        const rookToCol = move.castling === 'k' ? 5 : 3;
-        this.board[toIdx.row][rookToCol] = this.board[toIdx.row][rookFromCol];
-        this.board[toIdx.row][rookFromCol] = null;
+      for (const type of POCKET_PIECES) {
+        if (!pocket[type]) continue;
+        for (let row = 0; row < 8; row++) {
+          if (type === PIECES.PAWN && (row === 0 || row === 7)) continue;
+          for (let col = 0; col < 8; col++) {
+            if (this.squares[row * 16 + col]) continue;
+            drops.push({
+              from: null,
+              to: SQUARE_NAMES[row * 16 + col],
+              piece: type,
+              color: this.turn,
+              captured: null,
+              drop: true
+            });
+          }
+        }
       }
       
-      return backup;
+      return drops;
     }
     
-    undoTemporaryMove(backup) {
-      this.board = backup.board;
-      this.castling = backup.castling;
-      this.enPassant = backup.enPassant;
-      this.halfMoves = backup.halfMoves;
-      this.turn = backup.turn;
+    // A pseudo-legal move is legal if it does not leave the mover's king attacked
+    isLegalMove(move) {
+      const undo = this.makeMove(move);
+      const king = this.kings[move.color];
+      const enemyColor = move.color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+      const legal = king >= 0 && !this.isAttacked(king, enemyColor);
+      this.unmakeMove(undo);
+      return legal;
     }
     
     move(moveInput) {
@@ -508,20 +1203,23 @@ const ChessEngine = (function() {
       
       if (typeof moveInput === 'string') {
         move = this.findMoveFromSan(moveInput);
+      } else if (moveInput.drop || (!moveInput.from && moveInput.piece)) {
+        move = this.moves().find(m => m.drop && m.piece === moveInput.piece && m.to === moveInput.to);
       } else {
         const legalMoves = this.moves({ square: moveInput.from });
-        move = legalMoves.find(m => 
-          m.to === moveInput.to && 
+        move = legalMoves.find(m =>
+          m.to === moveInput.to &&
           (!moveInput.promotion || m.promotion === moveInput.promotion)
         );
+        // Also accept castling given as the king's destination (e1g1) in Chess960
+        if (!move && this.chess960) {
+          move = legalMoves.find(m => m.castling &&
+            moveInput.to === (m.castling === 'k' ? 'g' : 'c') + m.from[1]);
+        }
       }
       
       if (!move) return null;
       
-      const fromIdx = this.algebraicToIndex(move.from);
-      const toIdx = this.algebraicToIndex(move.to);
-      const piece = this.board[fromIdx.row][fromIdx.col];
-      
       const historyEntry = {
         ...move,
         san: this.moveToSan(move),
@@ -529,69 +1227,205 @@ const ChessEngine = (function() {
         timestamp: Date.now()
       };
       
+      this.makeMove(move);
+      
+      this.moveHistory.push(historyEntry);
+      this.positionHistory.push(this.getPositionKey());
+      
+      return historyEntry;
+    }
+    
+    // Plays a move from moves() in place, without recording it in the history.
+    // Returns the record unmakeMove needs to take it back; search and perft
+    // walk the tree with these pairs instead of copying the position.
+    makeMove(move) {
+      const squares = this.squares;
+      const color = move.color;
+      const from = move.drop ? -1 : SQUARE_INDEX[move.from];
+      const to = SQUARE_INDEX[move.to];
+      const piece = move.drop ? { type: move.piece, color } : squares[from];
+      
+      const undo = {
+        move,
+        piece,
+        castling: this.castling,
+        enPassant: this.enPassant,
+        halfMoves: this.halfMoves,
+        fullMoves: this.fullMoves,
+        pockets: this.pockets,
+        variantState: this.variant.stateKeys ? this.variant.stateKeys.map(key => this[key]) : null,
+        captured: null,
+        capturedSquare: -1,
+        rookSquare: -1,
+        hashHi: this.hashHi,
+        hashLo: this.hashLo
+      };
+      
+      this.xorEnPassant();
+      
       if (piece.type === PIECES.PAWN || move.captured) {
         this.halfMoves = 0;
       } else {
         this.halfMoves++;
       }
       
-      if (this.turn === COLORS.BLACK) {
+      if (color === COLORS.BLACK) {
         this.fullMoves++;
       }
       
-      this.board[toIdx.row][toIdx.col] = piece;
-      this.board[fromIdx.row][fromIdx.col] = null;
+      if (this.variant.pockets) {
+        this.updatePockets(move);
+      }
       
-      if (move.promotion) {
-        this.board[toIdx.row][toIdx.col] = { type: move.promotion, color: piece.color };
+      if (move.castling) {
+        // Lift both pieces first: in Chess960 their target squares may overlap their start squares
+        const row = from & 0x70;
+        const rookSquare = row + this.castlingRooks[castlingRight(color, move.castling)];
+        const rook = squares[rookSquare];
+        const kingTo = row + (move.castling === 'k' ? 6 : 2);
+        const rookTo = row + (move.castling === 'k' ? 5 : 3);
+        squares[from] = null;
+        squares[rookSquare] = null;
+        squares[kingTo] = piece;
+        squares[rookTo] = rook;
+        this.xorPiece(piece, from);
+        this.xorPiece(rook, rookSquare);
+        this.xorPiece(piece, kingTo);
+        this.xorPiece(rook, rookTo);
+        undo.rookSquare = rookSquare;
+        this.kings[color] = row + (move.castling === 'k' ? 6 : 2);
+      } else if (move.drop) {
+        squares[to] = piece;
+        this.xorPiece(piece, to);
+      } else {
+        const capturedSquare = move.enPassant ? to + (color === COLORS.WHITE ? 16 : -16) : to;
+        undo.captured = squares[capturedSquare];
+        undo.capturedSquare = capturedSquare;
+        squares[capturedSquare] = null;
+        squares[from] = null;
+        squares[to] = piece;
+        if (move.promotion) {
+          squares[to] = { type: move.promotion, color };
+          if (this.variant.pockets) squares[to].promoted = true;
+        }
+        this.xorPiece(piece, from);
+        if (undo.captured) this.xorPiece(undo.captured, capturedSquare);
+        this.xorPiece(squares[to], to);
+        if (piece.type === PIECES.KING) this.kings[color] = to;
       }
       
-      if (move.enPassant) {
-        const capturedRow = piece.color === COLORS.WHITE ? toIdx.row + 1 : toIdx.row - 1;
-        this.board[capturedRow][toIdx.col] = null;
+      this.enPassant = move.doublePawn ? SQUARE_NAMES[(from + to) / 2] : null;
+      
+      // Moving the king loses both rights; a rook leaving or captured on its
+      // castling square loses that right
+      let castling = this.castling;
+      for (const right of CASTLING_RIGHTS) {
+        if (!castling[right]) continue;
+        const isWhite = right === 'K' || right === 'Q';
+        const rookSquare = (isWhite ? 0x70 : 0) + this.castlingRooks[right];
+        const kingMoved = piece.type === PIECES.KING && (color === COLORS.WHITE) === isWhite;
+        if (kingMoved || from === rookSquare || to === rookSquare) {
+          if (castling === this.castling) castling = { ...castling };
+          castling[right] = false;
+        }
       }
+      this.castling = castling;
+      CASTLING_RIGHTS.forEach((right, i) => {
+        if (castling[right] !== undo.castling[right]) this.xorKey(CASTLING_KEY_OFFSET + i);
+      });
       
-      if (move.castling) {
-        const row = toIdx.row;
-        const rookFromCol = move.castling === 'k' ? 7 : 0;
-        const rookToCol = move.castling === 'k' ? 5 : 3;
-        this.board[row][rookToCol] = this.board[row][rookFromCol];
-        this.board[row][rookFromCol] = null;
+      this.turn = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+      this.xorKey(TURN_KEY_OFFSET);
+      this.xorEnPassant();
+      
+      if (this.variant.afterMove) {
+        this.variant.afterMove(this, move);
       }
       
-      if (move.doublePawn) {
-        const epRow = piece.color === COLORS.WHITE ? toIdx.row + 1 : toIdx.row - 1;
-        this.enPassant = this.indexToAlgebraic(epRow, toIdx.col);
+      return undo;
+    }
+    
+    unmakeMove(undo) {
+      const squares = this.squares;
+      const { move, piece } = undo;
+      const color = move.color;
+      const from = move.drop ? -1 : SQUARE_INDEX[move.from];
+      const to = SQUARE_INDEX[move.to];
+      
+      if (move.castling) {
+        const row = from & 0x70;
+        const rook = squares[row + (move.castling === 'k' ? 5 : 3)];
+        squares[row + (move.castling === 'k' ? 6 : 2)] = null;
+        squares[row + (move.castling === 'k' ? 5 : 3)] = null;
+        squares[undo.rookSquare] = rook;
+        squares[from] = piece;
+      } else if (move.drop) {
+        squares[to] = null;
       } else {
-        this.enPassant = null;
+        squares[to] = null;
+        squares[from] = piece;
+        if (undo.captured) squares[undo.capturedSquare] = undo.captured;
       }
+      if (piece.type === PIECES.KING) this.kings[color] = from;
       
-      if (piece.type === PIECES.KING) {
-        if (piece.color === COLORS.WHITE) {
-          this.castling.K = false;
-          this.castling.Q = false;
-        } else {
-          this.castling.k = false;
-          this.castling.q = false;
-        }
+      this.turn = color;
+      this.castling = undo.castling;
+      this.enPassant = undo.enPassant;
+      this.halfMoves = undo.halfMoves;
+      this.fullMoves = undo.fullMoves;
+      this.pockets = undo.pockets;
+      this.hashHi = undo.hashHi;
+      this.hashLo = undo.hashLo;
+      if (undo.variantState) {
+        this.variant.stateKeys.forEach((key, i) => { this[key] = undo.variantState[i]; });
       }
-      if (piece.type === PIECES.ROOK) {
-        if (move.from === 'a1') this.castling.Q = false;
-        if (move.from === 'h1') this.castling.K = false;
-        if (move.from === 'a8') this.castling.q = false;
-        if (move.from === 'h8') this.castling.k = false;
-      }
-      if (move.to === 'a1') this.castling.Q = false;
-      if (move.to === 'h1') this.castling.K = false;
-      if (move.to === 'a8') this.castling.q = false;
-      if (move.to === 'h8') this.castling.k = false;
-      
-      this.turn = this.turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    }
+    
+    // ===== Perft =====
+    
+    // Number of leaf nodes of the legal move tree to the given depth
+    perft(depth) {
+      if (depth === 0) return 1;
       
-      this.moveHistory.push(historyEntry);
-      this.positionHistory.push(this.getPositionKey());
+      const moves = this.moves();
+      if (depth === 1) return moves.length;
       
-      return historyEntry;
+      let nodes = 0;
+      for (const move of moves) {
+        const undo = this.makeMove(move);
+        nodes += this.perft(depth - 1);
+        this.unmakeMove(undo);
+      }
+      return nodes;
+    }
+    
+    // Perft split by root move, keyed by UCI notation ("e2e4", "e7e8q", "N@f3")
+    // so the counts can be compared with another engine's divide output
+    divide(depth) {
+      const result = {};
+      for (const move of this.moves()) {
+        const undo = this.makeMove(move);
+        const key = move.drop ?
+          move.piece.toUpperCase() + '@' + move.to :
+          move.from + move.to + (move.promotion || '');
+        result[key] = this.perft(depth - 1);
+        this.unmakeMove(undo);
+      }
+      return result;
+    }
+    
+    // Crazyhouse: the dropped piece leaves the pocket and a captured piece joins
+    // the capturer's, as a pawn if it had been promoted
+    updatePockets(move) {
+      const pocket = { ...this.pockets[move.color] };
+      if (move.drop) {
+        pocket[move.piece]--;
+      }
+      if (move.captured) {
+        const target = move.enPassant ? null : this.get(move.to);
+        pocket[target && target.promoted ? PIECES.PAWN : move.captured]++;
+      }
+      this.pockets = { ...this.pockets, [move.color]: pocket };
     }
     
     moveToSan(move) {
@@ -600,16 +1434,17 @@ const ChessEngine = (function() {
       
       let san = '';
       
-      if (move.piece !== PIECES.PAWN) {
+      if (move.drop) {
+        san += move.piece.toUpperCase() + '@';
+      } else if (move.piece !== PIECES.PAWN) {
         san += move.piece.toUpperCase();
         
-        const similarMoves = this.moves().filter(m => 
-          m.piece === move.piece && m.to === move.to && m.from !== move.from
+        const similarMoves = this.moves().filter(m =>
+          !m.drop && m.piece === move.piece && m.to === move.to && m.from !== move.from
         );
         if (similarMoves.length > 0) {
-          const fromIdx = this.algebraicToIndex(move.from);
-          const sameFile = similarMoves.some(m => this.algebraicToIndex(m.from).col === fromIdx.col);
-          const sameRank = similarMoves.some(m => this.algebraicToIndex(m.from).row === fromIdx.row);
+          const sameFile = similarMoves.some(m => m.from[0] === move.from[0]);
+          const sameRank = similarMoves.some(m => m.from[1] === move.from[1]);
           
           if (!sameFile) {
             san += move.from[0];
@@ -634,30 +1469,47 @@ const ChessEngine = (function() {
         san += '=' + move.promotion.toUpperCase();
       }
       
-      const backup = this.makeTemporaryMove(move);
-      this.turn = this.turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-      
+      const undo = this.makeMove(move);
       if (this.inCheck()) {
-        if (this.isCheckmate()) {
-          san += '#';
-        } else {
-          san += '+';
-        }
+        san += this.moves().length === 0 ? '#' : '+';
       }
-      
-      this.undoTemporaryMove(backup);
+      this.unmakeMove(undo);
       
       return san;
     }
-    
+
+    // Accepts SAN as produced by other programs too: check/annotation
+    // suffixes, zero-castling, redundant disambiguation, promotion without "="
     findMoveFromSan(san) {
+      const clean = san.replace(/[+#!?]+$/, '').replace(/e\.p\.$/, '');
       const moves = this.moves();
-      for (const move of moves) {
-        if (this.moveToSan(move).replace(/[+#]/g, '') === san.replace(/[+#]/g, '')) {
-          return move;
-        }
+      
+      if (/^[O0]-[O0]-[O0]$/.test(clean)) return moves.find(m => m.castling === 'q') || null;
+      if (/^[O0]-[O0]$/.test(clean)) return moves.find(m => m.castling === 'k') || null;
+      
+      // Drops: "N@f3", pawns as "P@e4" or "@e4"
+      const drop = clean.match(/^([PNBRQ])?@([a-h][1-8])$/);
+      if (drop) {
+        const piece = drop[1] ? drop[1].toLowerCase() : PIECES.PAWN;
+        return moves.find(m => m.drop && m.piece === piece && m.to === drop[2]) || null;
       }
-      return null;
+      
+      const match = clean.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/);
+      if (!match) return null;
+      
+      const [, pieceChar, fromFile, fromRank, to, promo] = match;
+      const piece = pieceChar ? pieceChar.toLowerCase() : PIECES.PAWN;
+      const candidates = moves.filter(m =>
+        m.piece === piece &&
+        m.to === to &&
+        !m.castling &&
+        !m.drop &&
+        (!fromFile || m.from[0] === fromFile) &&
+        (!fromRank || m.from[1] === fromRank) &&
+        (m.promotion || null) === (promo ? promo.toLowerCase() : null)
+      );
+      
+      return candidates.length === 1 ? candidates[0] : null;
     }
     
     undo() {
@@ -689,14 +1541,16 @@ const ChessEngine = (function() {
     }
     
     isInsufficientMaterial() {
+      if (this.variant.isInsufficientMaterial) {
+        return this.variant.isInsufficientMaterial(this);
+      }
+      
       const pieces = { w: [], b: [] };
       
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const piece = this.board[row][col];
-          if (piece && piece.type !== PIECES.KING) {
-            pieces[piece.color].push({ type: piece.type, row, col });
-          }
+      for (let sq = 0; sq < 128; sq++) {
+        const piece = this.squares[sq];
+        if (piece && piece.type !== PIECES.KING) {
+          pieces[piece.color].push({ type: piece.type, row: sq >> 4, col: sq & 7 });
         }
       }
       
@@ -742,18 +1596,23 @@ const ChessEngine = (function() {
     }
     
     isGameOver() {
-      return this.isCheckmate() || this.isDraw();
+      return this.getResult() !== null;
     }
     
-    getResult() {
-      if (this.isCheckmate()) {
-        return {
-          outcome: this.turn === COLORS.WHITE ? '0-1' : '1-0',
-          reason: 'mate',
-          winner: this.turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE
-        };
+    // legalMoves: this position's moves() when the caller already has them
+    getResult(legalMoves = null) {
+      if (this.variant.getResult) {
+        const result = this.variant.getResult(this);
+        if (result) return result;
       }
-      if (this.isStalemate()) {
+      if ((legalMoves || this.moves()).length === 0) {
+        if (this.inCheck()) {
+          return {
+            outcome: this.turn === COLORS.WHITE ? '0-1' : '1-0',
+            reason: 'mate',
+            winner: this.turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE
+          };
+        }
         return { outcome: '1/2-1/2', reason: 'stalemate' };
       }
       if (this.isInsufficientMaterial()) {
@@ -768,49 +1627,113 @@ const ChessEngine = (function() {
       return null;
     }
     
+    // FEN of the position the game started from
+    startingFen() {
+      return this.moveHistory.length > 0 ? this.moveHistory[0].fen_before : this.fen();
+    }
+    
+    // metadata (event, site, date, white, black) overrides tags read from a PGN
+    // and metadata.tags adds any others; tags still missing get the PGN
+    // standard's unknown values. Comments, NAGs and variations attached to
+    // moveHistory are written back
     pgn(metadata = {}) {
-      const headers = [];
-      headers.push(`[Event "${metadata.event || 'Chess Game'}"]`);
-      headers.push(`[Site "${metadata.site || 'Chess App'}"]`);
-      headers.push(`[Date "${metadata.date || new Date().toISOString().split('T')[0]}"]`);
-      headers.push(`[White "${metadata.white || 'White'}"]`);
-      headers.push(`[Black "${metadata.black || 'Black'}"]`);
+      const tags = { ...this.headers };
+      const overrides = {
+        Event: metadata.event, Site: metadata.site, Date: metadata.date,
+        White: metadata.white, Black: metadata.black, ...metadata.tags
+      };
+      for (const [name, value] of Object.entries(overrides)) {
+        if (value) tags[name] = value;
+      }
       
       const result = this.getResult();
-      headers.push(`[Result "${result ? result.outcome : '*'}"]`);
+      const outcome = result ? result.outcome : (this.headers.Result || '*');
       
-      let moves = '';
-      for (let i = 0; i < this.moveHistory.length; i++) {
-        if (i % 2 === 0) {
-          moves += (i / 2 + 1) + '. ';
-        }
-        moves += this.moveHistory[i].san + ' ';
+      const headers = [];
+      const pushTag = (name, value) => {
+        headers.push(`[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`);
+      };
+      pushTag('Event', tags.Event || '?');
+      pushTag('Site', tags.Site || '?');
+      pushTag('Date', tags.Date || '????.??.??');
+      if (tags.Round) pushTag('Round', tags.Round);
+      pushTag('White', tags.White || '?');
+      pushTag('Black', tags.Black || '?');
+      pushTag('Result', outcome);
+      
+      const startFen = this.startingFen();
+      if (this.variant !== VARIANTS.standard) {
+        tags.Variant = this.variant.name;
+      } else if (this.chess960) {
+        tags.Variant = 'Chess960';
+      }
+      if (startFen !== (this.variant.startFen || STARTING_FEN) || this.chess960) {
+        tags.SetUp = '1';
+        tags.FEN = startFen;
       }
       
-      if (result) {
-        moves += result.outcome;
+      const seven = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+      for (const [name, value] of Object.entries(tags)) {
+        if (!seven.includes(name)) pushTag(name, value);
       }
       
-      return headers.join('\n') + '\n\n' + moves.trim();
+      // Variant FEN extensions sit in the middle, so read the move number from the end
+      const startFields = startFen.split(' ');
+      const turn = startFields[1];
+      const fullMoves = startFields[startFields.length - 1];
+      const startPly = (parseInt(fullMoves) - 1) * 2 + (turn === COLORS.BLACK ? 1 : 0);
+      const tokens = [
+        ...(this.comments || []).map(formatPgnComment),
+        ...pgnLineTokens(this.moveHistory, startPly),
+        outcome
+      ];
+      
+      return headers.join('\n') + '\n\n' + wrapPgnTokens(tokens);
     }
     
+    // Reads a single PGN game: tags, SetUp/FEN, comments, NAGs and variations.
+    // Returns { ok: true } or { ok: false, error } where error is a PgnError
+    // with line/column/token. Mainline moves before an illegal move are kept.
     loadPgn(pgn) {
-      this.reset();
+      let game;
+      try {
+        game = parsePgn(pgn);
+      } catch (error) {
+        if (!(error instanceof PgnError)) throw error;
+        this.reset();
+        return { ok: false, error };
+      }
       
-      const moveText = pgn.replace(/\[.*?\]/g, '').replace(/\{.*?\}/g, '').trim();
-      const moveTokens = moveText.split(/\s+/).filter(t => 
-        t && !t.match(/^\d+\.+$/) && !t.match(/^(1-0|0-1|1\/2-1\/2|\*)$/)
-      );
+      this.reset();
+      const variant = getVariant(game.headers.Variant);
+      if (!variant) {
+        return { ok: false, error: new PgnError(`Unsupported variant "${game.headers.Variant}"`, game.tagTokens.Variant) };
+      }
+      this.variant = variant;
+      this.chess960 = !!variant.chess960;
       
-      for (const san of moveTokens) {
-        const result = this.move(san);
-        if (!result) {
-          console.error('Invalid move in PGN:', san);
-          break;
+      if (game.headers.SetUp === '1' && game.headers.FEN) {
+        const { valid, errors } = validateFen(game.headers.FEN, { chess960: this.chess960, variant: variant.key });
+        if (!valid) {
+          return { ok: false, error: new PgnError(`Invalid FEN tag: ${errors.join('; ')}`, game.tagTokens.FEN) };
         }
+        this.loadFen(game.headers.FEN);
+      } else {
+        this.loadFen(variant.startFen || STARTING_FEN);
       }
+      this.headers = game.headers;
+      this.comments = game.comments;
+      // A result given only at the end of the moves is kept like a Result tag
+      if (!this.headers.Result && game.result !== '*') this.headers.Result = game.result;
       
-      return true;
+      try {
+        playPgnLine(this, game.moves, true);
+      } catch (error) {
+        if (!(error instanceof PgnError)) throw error;
+        return { ok: false, error };
+      }
+      
+      return { ok: true };
     }
     
     board2D() {
@@ -827,20 +1750,594 @@ const ChessEngine = (function() {
       );
     }
     
+    // Independent copy; castling, pockets and variant state are replaced rather
+    // than mutated, so they can be shared
     copy() {
-      const chess = new Chess();
-      chess.loadFen(this.fen());
-      chess.moveHistory = JSON.parse(JSON.stringify(this.moveHistory));
+      const chess = Object.assign(Object.create(Chess.prototype), this);
+      chess.squares = this.squares.slice();
+      chess.kings = { ...this.kings };
+      chess.moveHistory = this.moveHistory.map(entry => ({ ...entry }));
       chess.positionHistory = [...this.positionHistory];
+      chess.headers = { ...this.headers };
+      chess.comments = [...this.comments];
       return chess;
     }
   }
   
-  return { Chess, PIECES, COLORS, PIECE_UNICODE, STARTING_FEN };
+  // ===== FEN Validation =====
+  
+  class FenError extends Error {
+    constructor(errors) {
+      super(`Invalid FEN: ${errors.join('; ')}`);
+      this.name = 'FenError';
+      this.errors = errors;
+    }
+  }
+  
+  // Checks a FEN string field by field and for positions that cannot occur
+  // in a game. Returns { valid, errors } with one message per problem found.
+  // options.chess960 accepts castling rights for rooks and kings on any file;
+  // options.variant accepts that variant's FEN extensions.
+  function validateFen(fen, options = {}) {
+    const errors = [];
+    
+    if (typeof fen !== 'string' || !fen.trim()) {
+      return { valid: false, errors: ['FEN is empty'] };
+    }
+    
+    const variant = getVariant(options.variant) || VARIANTS.standard;
+    let parts = fen.trim().split(/\s+/);
+    if (variant.parseFen) {
+      const parsed = variant.parseFen(parts);
+      parts = parsed.fields;
+      errors.push(...parsed.errors);
+    }
+    if (parts.length !== 6) {
+      errors.push(`Expected 6 fields, found ${parts.length}`);
+    }
+    const [position = '', turn, castling, enPassant, halfMoves, fullMoves] = parts;
+    
+    // Piece placement
+    const board = [];
+    const ranks = position.split('/');
+    if (ranks.length !== 8) {
+      errors.push(`Expected 8 ranks, found ${ranks.length}`);
+    }
+    ranks.slice(0, 8).forEach((rankText, row) => {
+      const rank = [];
+      let previousDigit = false;
+      for (const char of rankText) {
+        if (/[1-8]/.test(char)) {
+          if (previousDigit) errors.push(`Rank ${8 - row} has consecutive digits`);
+          for (let i = 0; i < parseInt(char); i++) rank.push(null);
+          previousDigit = true;
+        } else if (/[pnbrqk]/i.test(char)) {
+          rank.push({ type: char.toLowerCase(), color: char === char.toUpperCase() ? COLORS.WHITE : COLORS.BLACK });
+          previousDigit = false;
+        } else if (char === '~' && variant.pockets && rank.length > 0 && !previousDigit) {
+          // Promoted-piece marker (Crazyhouse)
+        } else {
+          errors.push(`Rank ${8 - row} has invalid character "${char}"`);
+          previousDigit = false;
+        }
+      }
+      if (rank.length !== 8) {
+        errors.push(`Rank ${8 - row} has ${rank.length} squares instead of 8`);
+      }
+      board.push(rank);
+    });
+    const boardValid = ranks.length === 8 && board.every(rank => rank.length === 8);
+    
+    const counts = { w: { total: 0 }, b: { total: 0 } };
+    if (boardValid) {
+      board.forEach((rank, row) => rank.forEach(piece => {
+        if (!piece) return;
+        counts[piece.color][piece.type] = (counts[piece.color][piece.type] || 0) + 1;
+        counts[piece.color].total++;
+        if (piece.type === PIECES.PAWN && (row === 0 || row === 7)) {
+          errors.push(`${piece.color === COLORS.WHITE ? 'White' : 'Black'} pawn on rank ${8 - row}`);
+        }
+      }));
+      
+      for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+        const name = color === COLORS.WHITE ? 'White' : 'Black';
+        const kings = counts[color][PIECES.KING] || 0;
+        if (kings !== 1) errors.push(`${name} has ${kings} kings`);
+        // Dropped pieces can take a side past its starting material
+        if (variant.pockets) continue;
+        if ((counts[color][PIECES.PAWN] || 0) > 8) errors.push(`${name} has more than 8 pawns`);
+        if (counts[color].total > 16) errors.push(`${name} has more than 16 pieces`);
+      }
+    }
+    const pieceAt = (square) => {
+      if (!boardValid) return null;
+      return board[8 - parseInt(square[1])][FILES.indexOf(square[0])];
+    };
+    const isPiece = (square, type, color) => {
+      const piece = pieceAt(square);
+      return !!piece && piece.type === type && piece.color === color;
+    };
+    
+    // Side to move
+    if (turn !== COLORS.WHITE && turn !== COLORS.BLACK) {
+      errors.push(`Side to move must be "w" or "b", found "${turn}"`);
+    }
+    
+    // Castling rights must match a king and rook on their back rank: e1/h1 etc.
+    // in standard chess, any files (king between the rooks) in Chess960
+    if (castling !== undefined && castling !== '-') {
+      const chess960 = options.chess960 || /[A-Ha-h]/.test(castling);
+      if (!/^[KQkqA-Ha-h]+$/.test(castling) || new Set(castling).size !== castling.length) {
+        errors.push(`Invalid castling field "${castling}"`);
+      } else if (boardValid) {
+        for (const right of castling) {
+          const color = right === right.toUpperCase() ? COLORS.WHITE : COLORS.BLACK;
+          const rank = color === COLORS.WHITE ? '1' : '8';
+          const row = 8 - parseInt(rank);
+          const kingCol = board[row].findIndex(p => p && p.type === PIECES.KING && p.color === color);
+          const isRook = (col) => isPiece(FILES[col] + rank, PIECES.ROOK, color);
+          
+          if (!chess960) {
+            const rookSquare = (right.toLowerCase() === 'k' ? 'h' : 'a') + rank;
+            if (!isPiece('e' + rank, PIECES.KING, color)) {
+              errors.push(`Castling right "${right}" without a king on e${rank}`);
+            } else if (!isPiece(rookSquare, PIECES.ROOK, color)) {
+              errors.push(`Castling right "${right}" without a rook on ${rookSquare}`);
+            }
+          } else if (kingCol < 0) {
+            errors.push(`Castling right "${right}" without a king on rank ${rank}`);
+          } else if (/[KQkq]/.test(right)) {
+            const files = right.toLowerCase() === 'k' ? [kingCol + 1, 7] : [0, kingCol - 1];
+            let found = false;
+            for (let col = files[0]; col <= files[1]; col++) if (isRook(col)) found = true;
+            if (!found) errors.push(`Castling right "${right}" without a rook beside the king`);
+          } else if (!isRook(FILES.indexOf(right.toLowerCase()))) {
+            errors.push(`Castling right "${right}" without a rook on ${right.toLowerCase()}${rank}`);
+          }
+        }
+      }
+    }
+    
+    // En passant target must sit behind a pawn that just made a double step
+    if (enPassant !== undefined && enPassant !== '-') {
+      const expectedRank = turn === COLORS.BLACK ? '3' : '6';
+      if (!/^[a-h][36]$/.test(enPassant)) {
+        errors.push(`Invalid en passant square "${enPassant}"`);
+      } else if ((turn === COLORS.WHITE || turn === COLORS.BLACK) && enPassant[1] !== expectedRank) {
+        errors.push(`En passant square ${enPassant} is impossible with ${turn === COLORS.WHITE ? 'White' : 'Black'} to move`);
+      } else if (boardValid) {
+        const file = enPassant[0];
+        const movedColor = turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        const pawnSquare = file + (expectedRank === '6' ? '5' : '4');
+        const originSquare = file + (expectedRank === '6' ? '7' : '2');
+        if (!isPiece(pawnSquare, PIECES.PAWN, movedColor)) {
+          errors.push(`En passant square ${enPassant} without a pawn on ${pawnSquare}`);
+        } else if (pieceAt(enPassant) || pieceAt(originSquare)) {
+          errors.push(`En passant square ${enPassant} requires ${enPassant} and ${originSquare} to be empty`);
+        }
+      }
+    }
+    
+    // Move counters
+    if (halfMoves !== undefined && !/^\d+$/.test(halfMoves)) {
+      errors.push(`Halfmove clock must be a non-negative integer, found "${halfMoves}"`);
+    }
+    if (fullMoves !== undefined && (!/^\d+$/.test(fullMoves) || parseInt(fullMoves) < 1)) {
+      errors.push(`Fullmove number must be a positive integer, found "${fullMoves}"`);
+    }
+    
+    // The side that just moved cannot have left its king in check
+    if (errors.length === 0) {
+      const chess = new Chess(fen, { chess960: options.chess960, variant: variant.key });
+      const waiting = chess.turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+      const king = chess.findKing(waiting);
+      if (chess.isSquareAttacked(king.row, king.col, chess.turn)) {
+        errors.push(`${waiting === COLORS.WHITE ? 'White' : 'Black'} is in check but it is not their move`);
+      }
+    }
+    
+    return { valid: errors.length === 0, errors };
+  }
+  
+  // ===== PGN =====
+  
+  const NAG_SUFFIXES = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+  const GAME_RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+  
+  class PgnError extends Error {
+    constructor(message, token) {
+      super(token ? `${message} at line ${token.line}, column ${token.column}` : message);
+      this.name = 'PgnError';
+      this.reason = message;
+      this.line = token ? token.line : null;
+      this.column = token ? token.column : null;
+      this.token = token ? token.value : null;
+    }
+  }
+  
+  // Splits PGN text into tokens carrying their 1-based line/column
+  function tokenizePgn(text) {
+    const tokens = [];
+    let i = 0, line = 1, column = 1;
+    
+    const advance = (count) => {
+      for (let k = 0; k < count; k++) {
+        if (text[i] === '\n') {
+          line++;
+          column = 1;
+        } else {
+          column++;
+        }
+        i++;
+      }
+    };
+    
+    while (i < text.length) {
+      const char = text[i];
+      const start = { line, column };
+      
+      if (/\s/.test(char)) {
+        advance(1);
+      } else if (char === '%' && column === 1) {
+        // Escape mechanism: the whole line is ignored
+        while (i < text.length && text[i] !== '\n') advance(1);
+      } else if (char === ';') {
+        let end = text.indexOf('\n', i);
+        if (end < 0) end = text.length;
+        tokens.push({ type: 'comment', value: text.slice(i + 1, end).trim(), ...start });
+        advance(end - i);
+      } else if (char === '{') {
+        const end = text.indexOf('}', i);
+        if (end < 0) throw new PgnError('Unterminated comment', { value: '{', ...start });
+        tokens.push({ type: 'comment', value: text.slice(i + 1, end).replace(/\s+/g, ' ').trim(), ...start });
+        advance(end - i + 1);
+      } else if (char === '"') {
+        let value = '';
+        advance(1);
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === '\\' && i + 1 < text.length) advance(1);
+          value += text[i];
+          advance(1);
+        }
+        if (i >= text.length) throw new PgnError('Unterminated string', { value: '"' + value, ...start });
+        advance(1);
+        tokens.push({ type: 'string', value, ...start });
+      } else if ('[]()'.includes(char)) {
+        tokens.push({ type: char, value: char, ...start });
+        advance(1);
+      } else if (char === '$') {
+        const match = text.slice(i).match(/^\$(\d+)/);
+        if (!match) throw new PgnError('Invalid NAG', { value: '$', ...start });
+        tokens.push({ type: 'nag', value: parseInt(match[1]), ...start });
+        advance(match[0].length);
+      } else if (char === '*') {
+        tokens.push({ type: 'result', value: '*', ...start });
+        advance(1);
+      } else {
+        const match = text.slice(i).match(/^[^\s\[\](){};"$]+/);
+        const value = match[0];
+        advance(value.length);
+        
+        if (GAME_RESULTS.includes(value)) {
+          tokens.push({ type: 'result', value, ...start });
+        } else if (/^\d+\.*$/.test(value)) {
+          tokens.push({ type: 'moveNumber', value, ...start });
+        } else {
+          // "12.e4" and "e4!?" arrive glued together; peel them apart
+          const numbered = value.match(/^(\d+\.+)(.+)$/);
+          const body = numbered ? numbered[2] : value;
+          const suffix = body.match(/[!?]{1,2}$/);
+          const san = suffix ? body.slice(0, -suffix[0].length) : body;
+          
+          if (numbered) tokens.push({ type: 'moveNumber', value: numbered[1], ...start });
+          tokens.push({ type: 'san', value: san, ...start });
+          if (suffix) {
+            if (!NAG_SUFFIXES[suffix[0]]) throw new PgnError('Invalid annotation', { value: suffix[0], ...start });
+            tokens.push({ type: 'nag', value: NAG_SUFFIXES[suffix[0]], ...start });
+          }
+        }
+      }
+    }
+    
+    return tokens;
+  }
+  
+  // Parses one game starting at tokens[pos]. Returns the game tree and the
+  // position just past the game termination marker.
+  function parsePgnGame(tokens, pos) {
+    const headers = {};
+    const eof = tokens.length > 0 ? tokens[tokens.length - 1] : { value: '', line: 1, column: 1 };
+    const peek = () => tokens[pos];
+    const expect = (type, what) => {
+      const token = tokens[pos];
+      if (!token) throw new PgnError(`Unexpected end of input, expected ${what}`, eof);
+      if (token.type !== type) throw new PgnError(`Expected ${what}`, token);
+      pos++;
+      return token;
+    };
+    
+    const tagTokens = {};
+    while (peek() && peek().type === '[') {
+      pos++;
+      const name = expect('san', 'tag name');
+      const value = expect('string', 'tag value');
+      expect(']', '"]"');
+      headers[name.value] = value.value;
+      tagTokens[name.value] = value;
+    }
+    
+    // Parses moves until ")" (variation) or a result/next game (mainline);
+    // opener is the "(" token of a variation
+    const parseLine = (opener) => {
+      const isVariation = !!opener;
+      const nodes = [];
+      let pendingComments = [];
+      
+      while (pos < tokens.length) {
+        const token = peek();
+        
+        if (token.type === 'moveNumber') {
+          pos++;
+        } else if (token.type === 'san') {
+          pos++;
+          const node = { san: token.value, line: token.line, column: token.column, token: token.value };
+          if (pendingComments.length > 0) {
+            node.commentsBefore = pendingComments;
+            pendingComments = [];
+          }
+          nodes.push(node);
+        } else if (token.type === 'nag') {
+          pos++;
+          if (nodes.length === 0) throw new PgnError('Annotation without a move', token);
+          const node = nodes[nodes.length - 1];
+          (node.nags = node.nags || []).push(token.value);
+        } else if (token.type === 'comment') {
+          pos++;
+          if (nodes.length === 0) {
+            pendingComments.push(token.value);
+          } else {
+            const node = nodes[nodes.length - 1];
+            (node.comments = node.comments || []).push(token.value);
+          }
+        } else if (token.type === '(') {
+          pos++;
+          if (nodes.length === 0) throw new PgnError('Variation without a preceding move', token);
+          const variation = parseLine(token);
+          expect(')', '")"');
+          const node = nodes[nodes.length - 1];
+          // Comments left over are those of a variation without moves
+          const line = variation.nodes;
+          if (variation.comments.length > 0) line.comments = variation.comments;
+          (node.variations = node.variations || []).push(line);
+        } else if (token.type === ')') {
+          if (!isVariation) throw new PgnError('Unmatched ")"', token);
+          break;
+        } else if (token.type === 'result' || token.type === '[') {
+          if (isVariation) throw new PgnError('Unterminated variation', token);
+          break;
+        } else {
+          throw new PgnError('Unexpected token', token);
+        }
+      }
+      
+      if (isVariation && pos >= tokens.length) {
+        throw new PgnError('Unterminated variation', opener);
+      }
+      return { nodes, comments: pendingComments };
+    };
+    
+    const mainline = parseLine(null);
+    let result = headers.Result || '*';
+    if (peek() && peek().type === 'result') {
+      result = tokens[pos++].value;
+    }
+    
+    return {
+      game: { headers, tagTokens, comments: mainline.comments, moves: mainline.nodes, result },
+      pos
+    };
+  }
+  
+  // Parses the first game of a PGN text into { headers, tagTokens, comments, moves, result }.
+  // Each move node is { san, nags?, comments?, commentsBefore?, variations? }
+  // where variations are arrays of nodes replacing that move, carrying
+  // comments? when they have no moves to hold them. Throws PgnError.
+  function parsePgn(text) {
+    const tokens = tokenizePgn(text);
+    if (tokens.length === 0) throw new PgnError('Empty PGN');
+    return parsePgnGame(tokens, 0).game;
+  }
+  
+  // Splits a multi-game PGN database into per-game chunks without parsing
+  // them, so one broken game does not prevent reading the others.
+  // Returns [{ text, line }] where line is the chunk's first line in the file.
+  function splitPgn(text) {
+    const chunks = [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let current = null;
+    let seenMoves = false;
+    let inComment = false;
+    
+    lines.forEach((lineText, i) => {
+      const trimmed = lineText.trim();
+      
+      // A tag line after movetext starts the next game
+      if (!inComment && trimmed.startsWith('[') && (!current || seenMoves)) {
+        current = { lines: [], line: i + 1 };
+        chunks.push(current);
+        seenMoves = false;
+      }
+      
+      if (!current) {
+        if (!trimmed) return;
+        current = { lines: [], line: i + 1 };
+        chunks.push(current);
+      }
+      current.lines.push(lineText);
+      
+      if (!inComment && trimmed && !trimmed.startsWith('[') && !trimmed.startsWith('%')) {
+        seenMoves = true;
+      }
+      for (const char of lineText) {
+        if (char === '{') inComment = true;
+        else if (char === '}') inComment = false;
+      }
+    });
+    
+    return chunks
+      .map(chunk => ({ text: chunk.lines.join('\n').trim(), line: chunk.line }))
+      .filter(chunk => chunk.text);
+  }
+  
+  // Plays parsed nodes on chess, checking every move (variations included).
+  // Mainline moves are recorded in moveHistory with their annotations;
+  // returns the line as { san, nags, comments, ... } nodes with normalized SAN.
+  function playPgnLine(chess, nodes, isMainline) {
+    return nodes.map(node => {
+      const move = chess.findMoveFromSan(node.san);
+      if (!move) {
+        throw new PgnError(`Illegal move "${node.san}"`, { value: node.token, line: node.line, column: node.column });
+      }
+      
+      // Variations replace this move, so they start from the current position
+      const variations = node.variations && node.variations.map(variation => {
+        const line = playPgnLine(chess.copy(), variation, false);
+        if (variation.comments) line.comments = variation.comments;
+        return line;
+      });
+      
+      const entry = chess.move(move);
+      const annotated = isMainline ? entry : { san: entry.san };
+      if (node.nags) annotated.nags = node.nags;
+      if (node.comments) annotated.comments = node.comments;
+      if (node.commentsBefore) annotated.commentsBefore = node.commentsBefore;
+      if (variations) annotated.variations = variations;
+      return annotated;
+    });
+  }
+  
+  function formatPgnComment(text) {
+    return `{${text.replace(/}/g, ')')}}`;
+  }
+  
+  // Movetext tokens for a line of moves starting at the given ply (0 = White's first move)
+  function pgnLineTokens(moves, startPly) {
+    const tokens = [];
+    let needsNumber = true;
+    
+    moves.forEach((move, i) => {
+      const ply = startPly + i;
+      const moveNumber = Math.floor(ply / 2) + 1;
+      
+      if (move.commentsBefore) {
+        tokens.push(...move.commentsBefore.map(formatPgnComment));
+        needsNumber = true;
+      }
+      if (ply % 2 === 0) {
+        tokens.push(`${moveNumber}.`);
+      } else if (needsNumber) {
+        tokens.push(`${moveNumber}...`);
+      }
+      tokens.push(move.san);
+      needsNumber = false;
+      
+      for (const nag of move.nags || []) tokens.push(`$${nag}`);
+      for (const comment of move.comments || []) {
+        tokens.push(formatPgnComment(comment));
+        needsNumber = true;
+      }
+      for (const variation of move.variations || []) {
+        const inner = [...(variation.comments || []).map(formatPgnComment), ...pgnLineTokens(variation, ply)];
+        if (inner.length === 0) continue;
+        inner[0] = '(' + inner[0];
+        inner[inner.length - 1] += ')';
+        tokens.push(...inner);
+        needsNumber = true;
+      }
+    });
+    
+    return tokens;
+  }
+  
+  // Joins movetext tokens into lines of at most 80 characters
+  function wrapPgnTokens(tokens) {
+    const lines = [];
+    let current = '';
+    for (const token of tokens) {
+      if (current && current.length + 1 + token.length > 80) {
+        lines.push(current);
+        current = token;
+      } else {
+        current = current ? current + ' ' + token : token;
+      }
+    }
+    if (current) lines.push(current);
+    return lines.join('\n');
+  }
+  
+  // ===== Perft Suite =====
+  
+  // Well-known positions with published node counts (counts[i] is perft(i + 1)).
+  // Between them they cover castling through and out of check, en passant
+  // pins and discovered checks, and underpromotions.
+  const PERFT_SUITE = [
+    {
+      name: 'Start position',
+      fen: STARTING_FEN,
+      counts: [20, 400, 8902, 197281, 4865609]
+    },
+    {
+      name: 'Kiwipete',
+      fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+      counts: [48, 2039, 97862, 4085603]
+    },
+    {
+      name: 'Position 3',
+      fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+      counts: [14, 191, 2812, 43238, 674624]
+    },
+    {
+      name: 'Position 4',
+      fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+      counts: [6, 264, 9467, 422333]
+    },
+    {
+      name: 'Position 5',
+      fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+      counts: [44, 1486, 62379, 2103487]
+    },
+    {
+      name: 'Position 6',
+      fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+      counts: [46, 2079, 89890, 3894594]
+    },
+    {
+      name: 'Chess960 #1',
+      fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+      chess960: true,
+      counts: [21, 528, 12189, 326672]
+    },
+    {
+      name: 'Chess960 #2',
+      fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+      chess960: true,
+      counts: [21, 807, 18002, 667366]
+    }
+  ];
+  
+  return {
+    Chess, PIECES, COLORS, PIECE_UNICODE, STARTING_FEN, getChess960Position,
+    VARIANTS, getVariant,
+    FenError, validateFen, PgnError, parsePgn, splitPgn,
+    PERFT_SUITE
+  };
 })();
 
 // ===== Chess AI Engine =====
-// Uses minimax with alpha-beta pruning and piece-square tables
+// Uses iterative-deepening alpha-beta with quiescence search, a
+// transposition table, time management and a tapered evaluation,
+// playing known openings from a Polyglot opening book and KQK, KRK and
+// KPK perfectly from generated endgame tables
 // Reliable fallback that works offline without external dependencies
 const ChessAI = (function() {
   const { PIECES, COLORS } = ChessEngine;
@@ -919,124 +2416,1667 @@ const ChessAI = (function() {
     ]
   };
   
-  // Level configuration - higher = stronger
-  const LEVEL_CONFIG = {
-    1: { depth: 1, randomness: 50 },
-    2: { depth: 2, randomness: 30 },
-    3: { depth: 2, randomness: 15 },
-    4: { depth: 3, randomness: 10 },
-    5: { depth: 3, randomness: 5 },
-    6: { depth: 4, randomness: 3 },
-    7: { depth: 4, randomness: 1 },
-    8: { depth: 5, randomness: 0 }
+  // Endgame tables where a piece wants different squares; the others use PST
+  // in both phases. Kings head for the centre, pawns for promotion.
+  const ENDGAME_PST = {
+    [PIECES.PAWN]: [
+      [0,  0,  0,  0,  0,  0,  0,  0],
+      [80, 80, 80, 80, 80, 80, 80, 80],
+      [50, 50, 50, 50, 50, 50, 50, 50],
+      [30, 30, 30, 30, 30, 30, 30, 30],
+      [15, 15, 15, 15, 15, 15, 15, 15],
+      [5,  5,  5,  5,  5,  5,  5,  5],
+      [0,  0,  0,  0,  0,  0,  0,  0],
+      [0,  0,  0,  0,  0,  0,  0,  0]
+    ],
+    [PIECES.KING]: [
+      [-50,-40,-30,-20,-20,-30,-40,-50],
+      [-30,-20,-10,  0,  0,-10,-20,-30],
+      [-30,-10, 20, 30, 30, 20,-10,-30],
+      [-30,-10, 30, 40, 40, 30,-10,-30],
+      [-30,-10, 30, 40, 40, 30,-10,-30],
+      [-30,-10, 20, 30, 30, 20,-10,-30],
+      [-30,-30,  0,  0,  0,  0,-30,-30],
+      [-50,-30,-30,-30,-30,-30,-30,-50]
+    ]
   };
   
-  function evaluate(chess) {
-    let score = 0;
-    const board = chess.board;
-    
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = board[row][col];
-        if (piece) {
-          const pieceValue = PIECE_VALUES[piece.type] || 0;
-          const pst = PST[piece.type];
-          const pstRow = piece.color === COLORS.WHITE ? row : 7 - row;
-          const positionalValue = pst ? pst[pstRow][col] : 0;
-          
-          const value = pieceValue + positionalValue;
-          score += piece.color === COLORS.WHITE ? value : -value;
-        }
+  // Evaluation weights as [middlegame, endgame] pairs in centipawns. Both
+  // phases are scored in full and blended by the material left on the board,
+  // so each term can be tuned for either phase independently.
+  const EVAL_WEIGHTS = {
+    material: {
+      [PIECES.PAWN]: [100, 120],
+      [PIECES.KNIGHT]: [320, 300],
+      [PIECES.BISHOP]: [330, 320],
+      [PIECES.ROOK]: [500, 540],
+      [PIECES.QUEEN]: [900, 950],
+      [PIECES.KING]: [0, 0]
+    },
+    // Per square a piece can move to
+    mobility: {
+      [PIECES.KNIGHT]: [4, 4],
+      [PIECES.BISHOP]: [5, 5],
+      [PIECES.ROOK]: [2, 4],
+      [PIECES.QUEEN]: [1, 2]
+    },
+    // Per square next to the enemy king that a piece reaches
+    kingAttack: {
+      [PIECES.KNIGHT]: [8, 0],
+      [PIECES.BISHOP]: [8, 0],
+      [PIECES.ROOK]: [10, 0],
+      [PIECES.QUEEN]: [15, 0]
+    },
+    // Per own pawn on the two ranks in front of the king, on its file or the next
+    kingShelter: [15, 0],
+    doubledPawn: [-10, -25],
+    isolatedPawn: [-12, -15],
+    // By the pawn's rank counted from its own side (index 1 = second rank)
+    passedPawn: [[0, 0], [5, 15], [10, 20], [20, 40], [35, 70], [55, 110], [80, 160], [0, 0]],
+    bishopPair: [30, 50],
+    rookOpenFile: [25, 10],
+    rookSemiOpenFile: [12, 8]
+  };
+  
+  // Game phase from the pieces left: MAX_PHASE with all of them, 0 with none
+  const PHASE_WEIGHTS = {
+    [PIECES.KNIGHT]: 1,
+    [PIECES.BISHOP]: 1,
+    [PIECES.ROOK]: 2,
+    [PIECES.QUEEN]: 4
+  };
+  const MAX_PHASE = 24;
+  
+  // 0x88 steps, as in Chess
+  const PIECE_STEPS = {
+    [PIECES.KNIGHT]: [-33, -31, -18, -14, 14, 18, 31, 33],
+    [PIECES.BISHOP]: [-17, -15, 15, 17],
+    [PIECES.ROOK]: [-16, -1, 1, 16],
+    [PIECES.QUEEN]: [-17, -16, -15, -1, 1, 15, 16, 17]
+  };
+  
+  // Finished games score beyond any material balance
+  const MATE_SCORE = 100000;
+  
+  // Variant-specific terms, from White's point of view
+  const KING_HILL_BONUS = [0, 120, 40, 0]; // by king distance to the centre
+  const CHECKS_GIVEN_BONUS = [0, 150, 400];
+  const VARIANT_EVAL = {
+    kingOfTheHill(chess) {
+      let score = 0;
+      for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+        const king = chess.findKing(color);
+        if (!king) continue;
+        const distance = Math.max(Math.abs(king.row - 3.5), Math.abs(king.col - 3.5)) - 0.5;
+        score += color === COLORS.WHITE ? KING_HILL_BONUS[distance] : -KING_HILL_BONUS[distance];
       }
+      return score;
+    },
+    threeCheck(chess) {
+      return (CHECKS_GIVEN_BONUS[chess.checks.w] || 0) - (CHECKS_GIVEN_BONUS[chess.checks.b] || 0);
+    },
+    // Pieces in hand count as material
+    crazyhouse(chess) {
+      let score = 0;
+      for (const type of Object.keys(chess.pockets.w)) {
+        score += (chess.pockets.w[type] - chess.pockets.b[type]) * PIECE_VALUES[type];
+      }
+      return score;
     }
-    
-    // Bonus for mobility
-    const mobility = chess.moves().length;
-    score += chess.turn === COLORS.WHITE ? mobility * 2 : -mobility * 2;
-    
-    return score;
-  }
+  };
   
-  function minimax(chess, depth, alpha, beta, maximizing) {
-    if (depth === 0 || chess.isGameOver()) {
-      return evaluate(chess);
-    }
-    
-    const moves = chess.moves();
+  // Level configuration - higher = stronger. Each level targets an
+  // approximate rating (calibrate.js measures them against each other) and
+  // plays like a human of that strength rather than a weakened engine:
+  // depth is how far it reads, candidates how many moves it weighs up,
+  // noise how far (cp) its judgement of them wanders, overlook the chance
+  // of missing each long-range piece's captures, natural how strongly it
+  // favours natural-looking moves, and bookDepth how many plies (half-moves)
+  // into the game the opening book is consulted
+  const LEVEL_CONFIG = {
+    1: { rating: 400, depth: 1, candidates: 40, noise: 90, overlook: 0.7, natural: 1, bookDepth: 2 },
+    2: { rating: 650, depth: 2, candidates: 40, noise: 70, overlook: 0.55, natural: 0.9, bookDepth: 4 },
+    3: { rating: 900, depth: 2, candidates: 12, noise: 50, overlook: 0.4, natural: 0.8, bookDepth: 6 },
+    4: { rating: 1150, depth: 3, candidates: 8, noise: 35, overlook: 0.28, natural: 0.6, bookDepth: 8 },
+    5: { rating: 1400, depth: 3, candidates: 6, noise: 25, overlook: 0.18, natural: 0.45, bookDepth: 10 },
+    6: { rating: 1650, depth: 4, candidates: 4, noise: 15, overlook: 0.1, natural: 0.3, bookDepth: 12 },
+    7: { rating: 1900, depth: 4, candidates: 3, noise: 8, overlook: 0.04, natural: 0.15, bookDepth: 16 },
+    8: { rating: 2200, depth: 5, candidates: 1, noise: 0, overlook: 0, natural: 0, bookDepth: 20 }
+  };
+  
+  // Personalities change what the AI likes rather than how well it plays:
+  // weights scale EVAL_WEIGHTS terms (a number scales the whole term, an
+  // object scales it piece by piece), contempt is how many centipawns worse
+  // than equal it rates a draw, and risk how much it will give up for a
+  // check, capture or promotion (negative: for a quiet move)
+  const PERSONALITIES = {
+    balanced: {
+      name: 'Balanced', description: 'Plays the position',
+      weights: {}, contempt: 0, risk: 0
+    },
+    attacker: {
+      name: 'Attacker', description: 'Goes for the king',
+      weights: { kingAttack: 2, mobility: 1.3, kingShelter: 0.7 }, contempt: 25, risk: 30
+    },
+    defender: {
+      name: 'Defender', description: 'Safety first',
+      weights: { kingShelter: 2, kingAttack: 0.6, doubledPawn: 1.5, isolatedPawn: 1.5 }, contempt: -25, risk: -30
+    },
+    materialist: {
+      name: 'Materialist', description: 'Grabs what it can',
+      weights: { mobility: 0.5, kingAttack: 0.5, kingShelter: 0.5, bishopPair: 0.5, rookOpenFile: 0.5, rookSemiOpenFile: 0.5 },
+      contempt: 0, risk: -10
+    },
+    gambiteer: {
+      name: 'Gambiteer', description: 'Pawns for the initiative',
+      weights: { material: { [PIECES.PAWN]: 0.7 }, mobility: 1.6, kingAttack: 1.6 }, contempt: 40, risk: 50
+    },
+    grinder: {
+      name: 'Endgame Grinder', description: 'Squeezes out endgames',
+      weights: { passedPawn: 1.5, doubledPawn: 1.3, isolatedPawn: 1.3, kingAttack: 0.7 }, contempt: 50, risk: -20
+    }
+  };
+  
+  // A copy of weights with the terms named in scale multiplied by it
+  function scaleWeights(weights, scale) {
+    if (typeof scale === 'number') {
+      if (typeof weights === 'number') return Math.round(weights * scale);
+      const scaled = Array.isArray(weights) ? [] : {};
+      for (const key of Object.keys(weights)) scaled[key] = scaleWeights(weights[key], scale);
+      return scaled;
+    }
+    const scaled = Array.isArray(weights) ? weights.slice() : { ...weights };
+    for (const key of Object.keys(scale)) scaled[key] = scaleWeights(weights[key], scale[key]);
+    return scaled;
+  }
+  
+  // Scratch space for evaluate(), indexed [color * 8 + file]
+  const pawnCounts = new Int8Array(16);
+  const pawnRows = new Int8Array(16);
+  
+  // Static evaluation in centipawns from White's point of view; weights
+  // default to EVAL_WEIGHTS
+  function evaluate(chess, weights = EVAL_WEIGHTS) {
+    const squares = chess.squares;
+    // Middlegame and endgame scores, White minus Black
+    let mg = 0;
+    let eg = 0;
+    
+    // First pass: material and piece-square tables, noting pawns and pieces.
+    // pawnRows holds, per file, the rearmost pawn as seen by the other side:
+    // White's highest row and Black's lowest
+    const pawns = [];
+    const pieces = [];
+    const bishops = [0, 0];
+    let phase = 0;
+    pawnCounts.fill(0);
+    pawnRows.fill(-1, 0, 8);
+    pawnRows.fill(8, 8, 16);
     
-    // Move ordering: captures first for better pruning
-    moves.sort((a, b) => {
-      const aScore = a.captured ? PIECE_VALUES[a.captured] || 0 : 0;
-      const bScore = b.captured ? PIECE_VALUES[b.captured] || 0 : 0;
-      return bScore - aScore;
+    for (let sq = 0; sq < 128; sq++) {
+      const piece = squares[sq];
+      if (!piece) continue;
+      const { type } = piece;
+      const isWhite = piece.color === COLORS.WHITE;
+      const sign = isWhite ? 1 : -1;
+      const row = sq >> 4;
+      const col = sq & 7;
+      const pstRow = isWhite ? row : 7 - row;
+      const material = weights.material[type];
+      
+      mg += sign * (material[0] + PST[type][pstRow][col]);
+      eg += sign * (material[1] + (ENDGAME_PST[type] || PST[type])[pstRow][col]);
+      phase += PHASE_WEIGHTS[type] || 0;
+      
+      if (type === PIECES.PAWN) {
+        const slot = (isWhite ? 0 : 8) + col;
+        pawnCounts[slot]++;
+        pawnRows[slot] = isWhite ? Math.max(pawnRows[slot], row) : Math.min(pawnRows[slot], row);
+        pawns.push(sq);
+      } else if (type !== PIECES.KING) {
+        if (type === PIECES.BISHOP) bishops[isWhite ? 0 : 1]++;
+        pieces.push(sq);
+      }
+    }
+    
+    // Pawn structure
+    for (const sq of pawns) {
+      const isWhite = squares[sq].color === COLORS.WHITE;
+      const sign = isWhite ? 1 : -1;
+      const own = isWhite ? 0 : 8;
+      const enemy = isWhite ? 8 : 0;
+      const row = sq >> 4;
+      const col = sq & 7;
+      
+      if ((col === 0 || pawnCounts[own + col - 1] === 0) && (col === 7 || pawnCounts[own + col + 1] === 0)) {
+        mg += sign * weights.isolatedPawn[0];
+        eg += sign * weights.isolatedPawn[1];
+      }
+      
+      let passed = true;
+      for (let file = Math.max(0, col - 1); file <= Math.min(7, col + 1); file++) {
+        if (isWhite ? pawnRows[enemy + file] < row : pawnRows[enemy + file] > row) passed = false;
+      }
+      if (passed) {
+        const bonus = weights.passedPawn[isWhite ? 7 - row : row];
+        mg += sign * bonus[0];
+        eg += sign * bonus[1];
+      }
+    }
+    for (let file = 0; file < 16; file++) {
+      if (pawnCounts[file] > 1) {
+        const sign = file < 8 ? 1 : -1;
+        mg += sign * weights.doubledPawn[0] * (pawnCounts[file] - 1);
+        eg += sign * weights.doubledPawn[1] * (pawnCounts[file] - 1);
+      }
+    }
+    const bishopPairs = (bishops[0] >= 2 ? 1 : 0) - (bishops[1] >= 2 ? 1 : 0);
+    mg += bishopPairs * weights.bishopPair[0];
+    eg += bishopPairs * weights.bishopPair[1];
+    
+    // King shelter: own pawns just in front of the king
+    for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+      const king = chess.kings[color];
+      if (king < 0) continue;
+      const sign = color === COLORS.WHITE ? 1 : -1;
+      const forward = color === COLORS.WHITE ? -16 : 16;
+      let shelter = 0;
+      for (let side = -1; side <= 1; side++) {
+        for (let ahead = 1; ahead <= 2; ahead++) {
+          const sq = king + side + forward * ahead;
+          if (sq & 0x88) continue;
+          const piece = squares[sq];
+          if (piece && piece.type === PIECES.PAWN && piece.color === color) shelter++;
+        }
+      }
+      mg += sign * weights.kingShelter[0] * shelter;
+      eg += sign * weights.kingShelter[1] * shelter;
+    }
+    
+    // Mobility, king attack and rook files
+    for (const sq of pieces) {
+      const { type, color } = squares[sq];
+      const sign = color === COLORS.WHITE ? 1 : -1;
+      const enemyKing = chess.kings[color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE];
+      const sliding = type !== PIECES.KNIGHT;
+      let mobility = 0;
+      let attacks = 0;
+      
+      for (const step of PIECE_STEPS[type]) {
+        let to = sq + step;
+        while (!(to & 0x88)) {
+          const target = squares[to];
+          if (target && target.color === color) break;
+          mobility++;
+          if (enemyKing >= 0 && Math.abs((to >> 4) - (enemyKing >> 4)) <= 1 && Math.abs((to & 7) - (enemyKing & 7)) <= 1) {
+            attacks++;
+          }
+          if (target || !sliding) break;
+          to += step;
+        }
+      }
+      mg += sign * (weights.mobility[type][0] * mobility + weights.kingAttack[type][0] * attacks);
+      eg += sign * (weights.mobility[type][1] * mobility + weights.kingAttack[type][1] * attacks);
+      
+      if (type === PIECES.ROOK) {
+        const col = sq & 7;
+        const own = color === COLORS.WHITE ? col : 8 + col;
+        const file = pawnCounts[col] + pawnCounts[8 + col] === 0 ? weights.rookOpenFile
+          : pawnCounts[own] === 0 ? weights.rookSemiOpenFile : null;
+        if (file) {
+          mg += sign * file[0];
+          eg += sign * file[1];
+        }
+      }
+    }
+    
+    // Blend by phase: all middlegame with full material, all endgame with none
+    phase = Math.min(phase, MAX_PHASE);
+    let score = Math.round((mg * phase + eg * (MAX_PHASE - phase)) / MAX_PHASE);
+    
+    const variantEval = VARIANT_EVAL[chess.variant.key];
+    if (variantEval) {
+      score += variantEval(chess);
+    }
+    
+    return score;
+  }
+  
+  // ===== Opening Book =====
+  
+  // Polyglot books are sorted 16-byte big-endian entries: a 64-bit position
+  // key (the Polyglot Zobrist key that Chess.hash() gives in standard
+  // chess), a 16-bit move, a 16-bit weight and 32 bits of learning data
+  const BOOK_ENTRY_SIZE = 16;
+  const BOOK_PROMOTIONS = [null, PIECES.KNIGHT, PIECES.BISHOP, PIECES.ROOK, PIECES.QUEEN];
+  
+  // Opening lines the bundled book is built from; a move's weight is the
+  // number of lines that play it from that position
+  const DEFAULT_BOOK_LINES = [
+    'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7',
+    'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 O-O f6',
+    'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6',
+    'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d3 d6',
+    'e4 e5 Nf3 Nc6 Bc4 Nf6 d3 Be7 O-O O-O',
+    'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nf6 Nxc6 bxc6',
+    'e4 e5 Nf3 Nc6 Nc3 Nf6 d4 exd4 Nxd4 Bb4',
+    'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5',
+    'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6',
+    'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5',
+    'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 Qc7',
+    'e4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 d6',
+    'e4 c5 c3 Nf6 e5 Nd5 d4 cxd4 Nf3 Nc6',
+    'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7',
+    'e4 e6 d4 d5 Nd2 c5 exd5 exd5 Ngf3 Nc6',
+    'e4 e6 d4 d5 e5 c5 c3 Nc6 Nf3 Qb6',
+    'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6',
+    'e4 c6 d4 d5 e5 Bf5 Nf3 e6 Be2 c5',
+    'e4 d5 exd5 Qxd5 Nc3 Qa5 d4 Nf6 Nf3 Bf5',
+    'e4 d6 d4 Nf6 Nc3 g6 Nf3 Bg7 Be2 O-O',
+    'e4 g6 d4 Bg7 Nc3 d6 Be3 a6 Qd2 b5',
+    'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O',
+    'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5',
+    'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5',
+    'd4 d5 Nf3 Nf6 c4 e6 Nc3 c6 e3 Nbd7',
+    'd4 d5 Bf4 Nf6 e3 c5 c3 Nc6 Nd2 e6',
+    'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Bd3 d5',
+    'd4 Nf6 c4 e6 Nf3 b6 g3 Ba6 b3 Bb4+',
+    'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O',
+    'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3',
+    'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6',
+    'd4 Nf6 Nf3 e6 c4 d5 Nc3 Be7 Bf4 O-O',
+    'd4 f5 g3 Nf6 Bg2 g6 Nf3 Bg7 O-O O-O',
+    'c4 e5 Nc3 Nf6 Nf3 Nc6 g3 d5 cxd5 Nxd5',
+    'c4 Nf6 Nc3 e6 Nf3 d5 d4 Be7 Bf4 O-O',
+    'c4 c5 Nf3 Nc6 Nc3 g6 g3 Bg7 Bg2 Nf6',
+    'Nf3 d5 g3 Nf6 Bg2 c6 O-O Bg4 d3 Nbd7',
+    'Nf3 Nf6 c4 g6 Nc3 Bg7 e4 d6 d4 O-O'
+  ];
+  
+  let book = null;
+  
+  // Castling is stored as king-takes-rook, as Chess already does in Chess960
+  function bookMoveSquares(chess, move) {
+    if (move.castling && !chess.chess960) {
+      return { from: move.from, to: (move.castling === 'k' ? 'h' : 'a') + move.from[1] };
+    }
+    return { from: move.from, to: move.to };
+  }
+  
+  function squareBits(square) {
+    return (square.charCodeAt(1) - 49) * 8 + (square.charCodeAt(0) - 97);
+  }
+  
+  function bitsSquare(bits) {
+    return String.fromCharCode(97 + (bits & 7)) + String.fromCharCode(49 + (bits >> 3));
+  }
+  
+  function encodeBookMove(chess, move) {
+    const { from, to } = bookMoveSquares(chess, move);
+    const promotion = move.promotion ? BOOK_PROMOTIONS.indexOf(move.promotion) : 0;
+    return squareBits(to) | (squareBits(from) << 6) | (promotion << 12);
+  }
+  
+  function keyParts(chess) {
+    const key = chess.hash();
+    return [parseInt(key.slice(0, 8), 16), parseInt(key.slice(8), 16)];
+  }
+  
+  // Entries sorted by key into parallel arrays, the layout lookups expect
+  function createBook(entries) {
+    entries.sort((a, b) => (a.hi - b.hi) || (a.lo - b.lo));
+    const result = {
+      keysHi: new Uint32Array(entries.length),
+      keysLo: new Uint32Array(entries.length),
+      moves: new Uint16Array(entries.length),
+      weights: new Uint16Array(entries.length)
+    };
+    entries.forEach((entry, i) => {
+      result.keysHi[i] = entry.hi;
+      result.keysLo[i] = entry.lo;
+      result.moves[i] = entry.move;
+      result.weights[i] = entry.weight;
     });
+    return result;
+  }
+  
+  // Reads a Polyglot .bin file given as an ArrayBuffer, typed array or Buffer
+  function parseBook(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (bytes.length % BOOK_ENTRY_SIZE !== 0) {
+      throw new Error(`Opening book size ${bytes.length} is not a multiple of ${BOOK_ENTRY_SIZE} bytes`);
+    }
     
-    if (maximizing) {
-      let maxEval = -Infinity;
-      for (const move of moves) {
-        const chessCopy = chess.copy();
-        chessCopy.move(move);
-        const evalScore = minimax(chessCopy, depth - 1, alpha, beta, false);
-        maxEval = Math.max(maxEval, evalScore);
-        alpha = Math.max(alpha, evalScore);
-        if (beta <= alpha) break;
-      }
-      return maxEval;
-    } else {
-      let minEval = Infinity;
-      for (const move of moves) {
-        const chessCopy = chess.copy();
-        chessCopy.move(move);
-        const evalScore = minimax(chessCopy, depth - 1, alpha, beta, true);
-        minEval = Math.min(minEval, evalScore);
-        beta = Math.min(beta, evalScore);
-        if (beta <= alpha) break;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const entries = [];
+    for (let offset = 0; offset < bytes.length; offset += BOOK_ENTRY_SIZE) {
+      entries.push({
+        hi: view.getUint32(offset),
+        lo: view.getUint32(offset + 4),
+        move: view.getUint16(offset + 8),
+        weight: view.getUint16(offset + 10)
+      });
+    }
+    return createBook(entries);
+  }
+  
+  function buildDefaultBook() {
+    const weights = new Map();
+    for (const line of DEFAULT_BOOK_LINES) {
+      const chess = new ChessEngine.Chess();
+      for (const san of line.split(' ')) {
+        const [hi, lo] = keyParts(chess);
+        const move = chess.findMoveFromSan(san);
+        if (!move) throw new Error(`Illegal move ${san} in book line ${line}`);
+        
+        const code = encodeBookMove(chess, move);
+        const id = `${hi}:${lo}:${code}`;
+        const entry = weights.get(id) || { hi, lo, move: code, weight: 0 };
+        entry.weight++;
+        weights.set(id, entry);
+        chess.makeMove(move);
+      }
+    }
+    return createBook([...weights.values()]);
+  }
+  
+  // Replaces the bundled book with a Polyglot .bin file; null restores the
+  // bundled one. Returns the number of entries.
+  function loadBook(data) {
+    book = data ? parseBook(data) : null;
+    return getBook().moves.length;
+  }
+  
+  function getBook() {
+    if (!book) book = buildDefaultBook();
+    return book;
+  }
+  
+  // Legal book moves for the position with their weights. Keys only match
+  // standard chess, so other variants never use the book.
+  function getBookMoves(chess) {
+    if (chess.variant.key !== 'standard') return [];
+    
+    const { keysHi, keysLo, moves, weights } = getBook();
+    const [hi, lo] = keyParts(chess);
+    let low = 0;
+    let high = keysHi.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (keysHi[mid] < hi || (keysHi[mid] === hi && keysLo[mid] < lo)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    
+    const legalMoves = chess.moves();
+    const result = [];
+    for (let i = low; i < keysHi.length && keysHi[i] === hi && keysLo[i] === lo; i++) {
+      const from = bitsSquare((moves[i] >> 6) & 63);
+      const to = bitsSquare(moves[i] & 63);
+      const promotion = BOOK_PROMOTIONS[(moves[i] >> 12) & 7];
+      const move = legalMoves.find(m => {
+        const squares = bookMoveSquares(chess, m);
+        return squares.from === from && squares.to === to && (m.promotion || null) === promotion;
+      });
+      if (move && weights[i] > 0) result.push({ ...move, weight: weights[i] });
+    }
+    return result;
+  }
+  
+  // Picks a book move at random in proportion to its weight
+  function pickBookMove(chess) {
+    const candidates = getBookMoves(chess);
+    let roll = Math.random() * candidates.reduce((sum, move) => sum + move.weight, 0);
+    for (const { weight, ...move } of candidates) {
+      roll -= weight;
+      if (roll < 0) return move;
+    }
+    return null;
+  }
+  
+  // The book's most popular reply to move, the opponent's expected answer
+  function bookReply(chess, move) {
+    const position = chess.copy();
+    position.makeMove(move);
+    let best = null;
+    for (const { weight, ...reply } of getBookMoves(position)) {
+      if (!best || weight > best.weight) best = { weight, reply };
+    }
+    return best && best.reply;
+  }
+  
+  // ===== Endgame Tables =====
+  
+  // Distance-to-mate tables for KQK, KRK and KPK, built by retrograde
+  // analysis the first time each ending is probed. Positions are normalised
+  // so the side with the extra piece (the strong side) is White; squares are
+  // rank * 8 + file with rank 0 = the first rank. An entry holds the plies
+  // to mate plus one (a win for the strong side), 0 for a draw, or
+  // TABLE_ILLEGAL for positions that cannot occur.
+  const ENDGAME_PIECES = [PIECES.QUEEN, PIECES.ROOK, PIECES.PAWN];
+  const TABLE_SIZE = 2 * 64 * 64 * 64;
+  const TABLE_ILLEGAL = 255;
+  const STRONG_TO_MOVE = 0;
+  const WEAK_TO_MOVE = 1;
+  
+  const KING_STEPS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+  const LINE_STEPS = {
+    [PIECES.QUEEN]: KING_STEPS,
+    [PIECES.ROOK]: [[-1, 0], [0, -1], [0, 1], [1, 0]]
+  };
+  
+  const KING_TARGETS = [];
+  for (let sq = 0; sq < 64; sq++) {
+    KING_TARGETS[sq] = [];
+    for (const [dr, df] of KING_STEPS) {
+      const rank = (sq >> 3) + dr;
+      const file = (sq & 7) + df;
+      if (rank >= 0 && rank < 8 && file >= 0 && file < 8) KING_TARGETS[sq].push(rank * 8 + file);
+    }
+  }
+  
+  const endgameTables = {};
+  
+  function tableIndex(toMove, strongKing, weakKing, piece) {
+    return ((toMove * 64 + strongKing) * 64 + weakKing) * 64 + piece;
+  }
+  
+  function kingsTouch(a, b) {
+    return Math.abs((a >> 3) - (b >> 3)) <= 1 && Math.abs((a & 7) - (b & 7)) <= 1;
+  }
+  
+  // Whether the strong piece attacks a square; the strong king is the only
+  // piece that can block it (the weak king is the one being attacked)
+  function tablePieceAttacks(type, from, target, strongKing) {
+    const dr = (target >> 3) - (from >> 3);
+    const df = (target & 7) - (from & 7);
+    if (type === PIECES.PAWN) return dr === 1 && Math.abs(df) === 1;
+    if (dr === 0 && df === 0) return false;
+    const diagonal = Math.abs(dr) === Math.abs(df);
+    if (!(dr === 0 || df === 0 || (diagonal && type === PIECES.QUEEN))) return false;
+    
+    const step = Math.sign(dr) * 8 + Math.sign(df);
+    for (let sq = from + step; sq !== target; sq += step) {
+      if (sq === strongKing) return false;
+    }
+    return true;
+  }
+  
+  // Squares a queen or rook reaches from `from`, stopping at either king;
+  // moves are reversible, so these are also the squares it can have come from
+  function lineTargets(type, from, strongKing, weakKing) {
+    const targets = [];
+    for (const [dr, df] of LINE_STEPS[type]) {
+      let rank = (from >> 3) + dr;
+      let file = (from & 7) + df;
+      while (rank >= 0 && rank < 8 && file >= 0 && file < 8) {
+        const sq = rank * 8 + file;
+        if (sq === strongKing || sq === weakKing) break;
+        targets.push(sq);
+        rank += dr;
+        file += df;
+      }
+    }
+    return targets;
+  }
+  
+  // Squares the strong pawn can have been pushed from
+  function pawnOrigins(pawn, strongKing, weakKing) {
+    const origins = [];
+    const free = sq => sq !== strongKing && sq !== weakKing;
+    if (pawn - 8 >= 8 && free(pawn - 8)) {
+      origins.push(pawn - 8);
+      if (pawn >> 3 === 3 && free(pawn - 16)) origins.push(pawn - 16);
+    }
+    return origins;
+  }
+  
+  function isTableLegal(toMove, type, strongKing, weakKing, piece) {
+    if (strongKing === weakKing || strongKing === piece || weakKing === piece) return false;
+    if (kingsTouch(strongKing, weakKing)) return false;
+    if (type === PIECES.PAWN && (piece < 8 || piece >= 56)) return false;
+    // The side that just moved cannot be left in check
+    return toMove === WEAK_TO_MOVE || !tablePieceAttacks(type, piece, weakKing, strongKing);
+  }
+  
+  // Positions are resolved in order of distance to mate: a strong-to-move
+  // position wins as soon as one move reaches a lost position, a weak-to-move
+  // position is lost once every one of its moves reaches a won position
+  function generateEndgameTable(type) {
+    const table = new Uint8Array(TABLE_SIZE).fill(TABLE_ILLEGAL);
+    // Weak-to-move positions: moves not yet known to lose, 255 if one draws
+    const openMoves = new Uint8Array(TABLE_SIZE / 2);
+    // Promotions can queue a position more than once; it is expanded once
+    const expanded = new Uint8Array(TABLE_SIZE);
+    const buckets = [];
+    const enqueue = (plies, index) => (buckets[plies] || (buckets[plies] = [])).push(index);
+    
+    for (let strongKing = 0; strongKing < 64; strongKing++) {
+      for (let weakKing = 0; weakKing < 64; weakKing++) {
+        for (let piece = 0; piece < 64; piece++) {
+          if (isTableLegal(STRONG_TO_MOVE, type, strongKing, weakKing, piece)) {
+            table[tableIndex(STRONG_TO_MOVE, strongKing, weakKing, piece)] = 0;
+          }
+          if (!isTableLegal(WEAK_TO_MOVE, type, strongKing, weakKing, piece)) continue;
+          
+          const index = tableIndex(WEAK_TO_MOVE, strongKing, weakKing, piece);
+          table[index] = 0;
+          let moves = 0;
+          let draws = false;
+          for (const target of KING_TARGETS[weakKing]) {
+            if (target === strongKing || kingsTouch(target, strongKing)) continue;
+            if (target === piece) {
+              draws = true; // bare kings
+            } else if (!tablePieceAttacks(type, piece, target, strongKing)) {
+              moves++;
+            }
+          }
+          
+          if (draws) {
+            openMoves[index - TABLE_SIZE / 2] = 255;
+          } else if (moves > 0) {
+            openMoves[index - TABLE_SIZE / 2] = moves;
+          } else if (tablePieceAttacks(type, piece, weakKing, strongKing)) {
+            enqueue(0, index); // checkmate
+          } else {
+            openMoves[index - TABLE_SIZE / 2] = 255; // stalemate
+          }
+        }
+      }
+    }
+    
+    // Promotions lead into the queen and rook tables
+    if (type === PIECES.PAWN) {
+      for (const promotion of [PIECES.QUEEN, PIECES.ROOK]) {
+        const promoted = getEndgameTable(promotion);
+        for (let strongKing = 0; strongKing < 64; strongKing++) {
+          for (let weakKing = 0; weakKing < 64; weakKing++) {
+            for (let pawn = 48; pawn < 56; pawn++) {
+              const index = tableIndex(STRONG_TO_MOVE, strongKing, weakKing, pawn);
+              const target = pawn + 8;
+              if (table[index] === TABLE_ILLEGAL || target === strongKing || target === weakKing) continue;
+              const value = promoted[tableIndex(WEAK_TO_MOVE, strongKing, weakKing, target)];
+              if (value !== 0 && value !== TABLE_ILLEGAL) enqueue(value, index);
+            }
+          }
+        }
+      }
+    }
+    
+    for (let plies = 0; plies < buckets.length; plies++) {
+      for (const index of buckets[plies] || []) {
+        if (expanded[index]) continue; // already won faster
+        expanded[index] = 1;
+        if (table[index] === 0) table[index] = plies + 1;
+        
+        const strongKing = (index >> 12) & 63;
+        const weakKing = (index >> 6) & 63;
+        const piece = index & 63;
+        
+        if (index >= TABLE_SIZE / 2) {
+          // Lost for the weak side: every strong move into it wins
+          const origins = [];
+          for (const from of KING_TARGETS[strongKing]) {
+            if (from !== piece && from !== weakKing) origins.push(tableIndex(STRONG_TO_MOVE, from, weakKing, piece));
+          }
+          const pieceOrigins = type === PIECES.PAWN
+            ? pawnOrigins(piece, strongKing, weakKing)
+            : lineTargets(type, piece, strongKing, weakKing);
+          for (const from of pieceOrigins) {
+            origins.push(tableIndex(STRONG_TO_MOVE, strongKing, weakKing, from));
+          }
+          for (const origin of origins) {
+            if (table[origin] === 0) {
+              table[origin] = plies + 2;
+              enqueue(plies + 1, origin);
+            }
+          }
+        } else {
+          // Won for the strong side: weak king moves into it lose one more option
+          for (const from of KING_TARGETS[weakKing]) {
+            if (from === strongKing || from === piece || kingsTouch(from, strongKing)) continue;
+            const origin = tableIndex(WEAK_TO_MOVE, strongKing, from, piece);
+            const slot = origin - TABLE_SIZE / 2;
+            if (table[origin] !== 0 || openMoves[slot] === 255) continue;
+            if (--openMoves[slot] === 0) {
+              table[origin] = plies + 2;
+              enqueue(plies + 1, origin);
+            }
+          }
+        }
       }
-      return minEval;
     }
+    
+    return table;
   }
   
-  async function getBestMove(chess, level = 3) {
+  function getEndgameTable(type) {
+    if (!endgameTables[type]) endgameTables[type] = generateEndgameTable(type);
+    return endgameTables[type];
+  }
+  
+  // Looks up a tabled ending: { result: 'win' | 'loss' | 'draw', plies } for
+  // the side to move, plies counting to mate. null for any other position.
+  function probeEndgame(chess) {
+    if (chess.variant.key !== 'standard') return null;
+    
+    let extra = null;
+    const squares = chess.squares;
+    for (let sq = 0; sq < 128; sq++) {
+      const piece = squares[sq];
+      if (!piece || piece.type === PIECES.KING) continue;
+      if (extra || !ENDGAME_PIECES.includes(piece.type)) return null;
+      extra = { piece, sq };
+    }
+    if (!extra || Object.values(chess.castling).some(Boolean)) return null;
+    
+    // Mirror the board top to bottom when Black is the strong side
+    const strong = extra.piece.color;
+    const weak = strong === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    const normalise = sq => (strong === COLORS.WHITE ? 7 - (sq >> 4) : sq >> 4) * 8 + (sq & 7);
+    const toMove = chess.turn === strong ? STRONG_TO_MOVE : WEAK_TO_MOVE;
+    
+    const table = getEndgameTable(extra.piece.type);
+    const value = table[tableIndex(toMove, normalise(chess.kings[strong]), normalise(chess.kings[weak]), normalise(extra.sq))];
+    if (value === TABLE_ILLEGAL) return null;
+    if (value === 0) return { result: 'draw', plies: 0 };
+    return { result: toMove === STRONG_TO_MOVE ? 'win' : 'loss', plies: value - 1 };
+  }
+  
+  // ===== Strength Limiting =====
+  
+  const OVERLOOK_DISTANCE = 3;
+  const CLOSE_MOVE_MARGIN = 30;
+  const OBVIOUS_MOVE_MARGIN = 150;
+  const RISK_CANDIDATES = 3;
+  const LONG_RANGE_PIECES = [PIECES.BISHOP, PIECES.ROOK, PIECES.QUEEN];
+  
+  // A level configuration for any rating, interpolated between the levels
+  // either side of it
+  function strengthProfile(rating) {
+    const levels = Object.values(LEVEL_CONFIG);
+    if (rating <= levels[0].rating) return levels[0];
+    if (rating >= levels[levels.length - 1].rating) return levels[levels.length - 1];
+    
+    const index = levels.findIndex(config => config.rating >= rating);
+    const lower = levels[index - 1];
+    const upper = levels[index];
+    const t = (rating - lower.rating) / (upper.rating - lower.rating);
+    const mix = key => lower[key] + (upper[key] - lower[key]) * t;
+    return {
+      rating,
+      depth: Math.round(mix('depth')),
+      candidates: Math.round(mix('candidates')),
+      noise: mix('noise'),
+      overlook: mix('overlook'),
+      natural: mix('natural'),
+      bookDepth: Math.round(mix('bookDepth'))
+    };
+  }
+  
+  // The long-range pieces, on either side, whose captures the player fails
+  // to notice this move; null when they see everything
+  function pickBlindSpots(chess, overlook) {
+    if (!overlook) return null;
+    const spots = new Set();
+    for (let sq = 0; sq < 128; sq++) {
+      const piece = chess.squares[sq];
+      if (piece && LONG_RANGE_PIECES.includes(piece.type) && Math.random() < overlook) {
+        spots.add(String.fromCharCode(97 + (sq & 7)) + (8 - (sq >> 4)));
+      }
+    }
+    return spots.size > 0 ? spots : null;
+  }
+  
+  // Drops captures made from OVERLOOK_DISTANCE squares or further by a piece
+  // on one of the search's blind spots, unless nothing else is left
+  function visibleMoves(search, moves) {
+    const visible = moves.filter(move => {
+      if (!move.captured || !search.blindSpots.has(move.from)) return true;
+      const files = Math.abs(move.from.charCodeAt(0) - move.to.charCodeAt(0));
+      const ranks = Math.abs(move.from.charCodeAt(1) - move.to.charCodeAt(1));
+      return Math.max(files, ranks) < OVERLOOK_DISTANCE;
+    });
+    return visible.length > 0 ? visible : moves;
+  }
+  
+  function gamePhase(chess) {
+    let phase = 0;
+    for (let sq = 0; sq < 128; sq++) {
+      const piece = chess.squares[sq];
+      if (piece) phase += PHASE_WEIGHTS[piece.type] || 0;
+    }
+    return Math.min(phase, MAX_PHASE);
+  }
+  
+  // How natural a move looks, in centipawns: castling, developing minor
+  // pieces, central pawns and recaptures appeal; early queen sorties,
+  // middlegame king walks, rook-pawn pushes and retreats to the back rank don't
+  function naturalness(chess, move, lastMove, middlegame) {
+    if (move.castling) return 40;
+    if (move.drop) return 0;
+    
+    const backRank = move.color === COLORS.WHITE ? '1' : '8';
+    let score = 0;
+    if (lastMove && lastMove.captured && move.to === lastMove.to) score += 30;
+    if (move.piece === PIECES.KNIGHT || move.piece === PIECES.BISHOP) {
+      if (move.from[1] === backRank) score += 30;
+      if (move.to[1] === backRank) score -= 20;
+    } else if (move.piece === PIECES.PAWN) {
+      if (chess.fullMoves <= 10 && (move.from[0] === 'd' || move.from[0] === 'e')) score += 20;
+      if (move.from[0] === 'a' || move.from[0] === 'h') score -= 10;
+    } else if (move.piece === PIECES.QUEEN && chess.fullMoves <= 10) {
+      score -= 15;
+    } else if (move.piece === PIECES.KING && middlegame) {
+      score -= 30;
+    }
+    return score;
+  }
+  
+  // Standard normal deviate (Box-Muller)
+  function gaussian() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+  }
+  
+  function isForcing(position, move) {
+    if (move.captured || move.promotion) return true;
+    const undo = position.makeMove(move);
+    const check = position.inCheck();
+    position.unmakeMove(undo);
+    return check;
+  }
+  
+  // Weighs up the best `candidates` root moves the way a player of the
+  // configured strength would: by a noisy judgement of their scores, swayed
+  // by how natural each move looks and by the personality's appetite for risk.
+  // noise keeps each move's misjudgement, drawn the first time it is weighed
+  function chooseMove(chess, rootMoves, candidates, config, personality, noise = new Map()) {
+    const choices = rootMoves.slice(0, candidates);
+    if (!config.noise && !config.natural && !personality.risk) return choices[0];
+    
+    const position = chess.copy();
+    const lastMove = chess.moveHistory[chess.moveHistory.length - 1];
+    const middlegame = gamePhase(chess) > MAX_PHASE / 2;
+    let selected = null;
+    let selectedValue = -Infinity;
+    for (const entry of choices) {
+      const key = moveKey(entry.move);
+      if (!noise.has(key)) noise.set(key, gaussian());
+      const value = entry.score +
+        config.natural * naturalness(chess, entry.move, lastMove, middlegame) +
+        (personality.risk && isForcing(position, entry.move) ? personality.risk : 0) +
+        config.noise * noise.get(key);
+      if (value > selectedValue) {
+        selected = entry;
+        selectedValue = value;
+      }
+    }
+    return selected;
+  }
+  
+  // Scores past the first are exact or upper bounds, so a wide gap to the
+  // second move is real
+  function isObviousMove(rootMoves) {
+    return rootMoves.length === 1 || rootMoves[1].score <= rootMoves[0].score - OBVIOUS_MOVE_MARGIN;
+  }
+  
+  // Milliseconds a human would take: forced and obvious moves come quickly,
+  // and the more moves look about equally good the longer the thought
+  function thinkingTime(rootMoves) {
+    if (isObviousMove(rootMoves)) return 150 + Math.random() * 200;
+    const close = rootMoves.filter(entry => rootMoves[0].score - entry.score <= CLOSE_MOVE_MARGIN).length;
+    return 300 + Math.min(close, 6) * 150 + Math.random() * 300;
+  }
+  
+  // ===== Move Explanation =====
+  
+  const EXPLAIN_PLIES = 6; // how far along a line material won is counted
+  const PIECE_NAMES = {
+    [PIECES.PAWN]: 'pawn',
+    [PIECES.KNIGHT]: 'knight',
+    [PIECES.BISHOP]: 'bishop',
+    [PIECES.ROOK]: 'rook',
+    [PIECES.QUEEN]: 'queen',
+    [PIECES.KING]: 'king'
+  };
+  
+  // Material of color less the opponent's, pieces in hand included
+  function materialBalance(chess, color) {
+    let balance = 0;
+    for (let sq = 0; sq < 128; sq++) {
+      const piece = chess.squares[sq];
+      if (!piece || piece.type === PIECES.KING) continue;
+      balance += piece.color === color ? PIECE_VALUES[piece.type] : -PIECE_VALUES[piece.type];
+    }
+    if (chess.variant.pockets) {
+      const enemy = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+      for (const type of Object.keys(chess.pockets[color])) {
+        balance += (chess.pockets[color][type] - chess.pockets[enemy][type]) * PIECE_VALUES[type];
+      }
+    }
+    return balance;
+  }
+  
+  // color's pieces the opponent could win: attacked and undefended, or
+  // attacked by a cheaper piece. Returns [{ square, piece }], most valuable first
+  function hangingPieces(chess, color) {
+    const enemy = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    const hanging = [];
+    for (let sq = 0; sq < 128; sq++) {
+      const piece = chess.squares[sq];
+      if (!piece || piece.color !== color || piece.type === PIECES.KING) continue;
+      
+      const square = String.fromCharCode(97 + (sq & 7)) + (8 - (sq >> 4));
+      const attackers = chess.attackers(square, enemy);
+      if (attackers.length === 0) continue;
+      const cheapest = Math.min(...attackers.map(from => PIECE_VALUES[chess.get(from).type]));
+      if (cheapest < PIECE_VALUES[piece.type] || chess.attackers(square, color).length === 0) {
+        hanging.push({ square, piece });
+      }
+    }
+    return hanging.sort((a, b) => PIECE_VALUES[b.piece.type] - PIECE_VALUES[a.piece.type]);
+  }
+  
+  // The position with the other side to move, as if the side to move
+  // passed; null when that side is in check and cannot pass
+  function passTurn(chess) {
+    if (chess.inCheck()) return null;
+    const fields = chess.fen().split(' ');
+    fields[1] = chess.turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    fields[3] = '-';
+    return new ChessEngine.Chess(fields.join(' '), { chess960: chess.chess960, variant: chess.variant.key });
+  }
+  
+  // Whether the side to move has a move that wins on the spot
+  function hasWinningMove(chess) {
+    const mover = chess.turn;
+    return chess.moves().some(move => {
+      const undo = chess.makeMove(move);
+      const result = chess.getResult();
+      chess.unmakeMove(undo);
+      return result !== null && result.winner === mover;
+    });
+  }
+  
+  // A few words on why a line from analyze() starts with a good move, for
+  // hints: a mate it forces, material won along it, a mate it threatens,
+  // a piece it saves, or failing those what the move itself does
+  function explainMove(chess, line) {
+    const mover = chess.turn;
+    const mate = line.mate === null ? 0 : (mover === COLORS.WHITE ? line.mate : -line.mate);
+    if (mate > 1) return `Forces mate in ${mate}`;
+    
+    const position = chess.copy();
+    const material = materialBalance(position, mover);
+    const hanging = hangingPieces(position, mover);
+    const move = position.move(line.move);
+    const afterMove = position.copy();
+    const result = afterMove.getResult();
+    if (result && result.winner === mover) return afterMove.isCheckmate() ? 'Checkmate' : 'Wins the game';
+    for (const san of line.pv.slice(1, EXPLAIN_PLIES)) {
+      if (!position.move(san)) break;
+    }
+    
+    const gain = materialBalance(position, mover) - material;
+    if (gain >= 250) return 'Wins material';
+    if (gain >= 80) return 'Wins a pawn';
+    
+    const passed = passTurn(afterMove);
+    if (passed && hasWinningMove(passed)) return 'Threatens mate';
+    
+    const stillHanging = new Set(hangingPieces(afterMove, mover).map(entry => entry.square));
+    for (const { square, piece } of hanging) {
+      const name = PIECE_NAMES[piece.type];
+      if (square === move.from && !stillHanging.has(move.to)) return `Moves the ${name} on ${square} out of danger`;
+      if (square !== move.from && !stillHanging.has(square)) return `Defends the ${name} on ${square}`;
+    }
+    
+    if (afterMove.inCheck()) return 'Gives check';
+    if (move.captured) return `Trades for the ${PIECE_NAMES[move.captured]} on ${move.to}`;
+    if (move.castling) return 'Castles the king to safety';
+    const backRank = mover === COLORS.WHITE ? '1' : '8';
+    if ((move.piece === PIECES.KNIGHT || move.piece === PIECES.BISHOP) && move.from && move.from[1] === backRank) {
+      return `Develops the ${PIECE_NAMES[move.piece]}`;
+    }
+    return 'Improves the position';
+  }
+  
+  // ===== Search =====
+  
+  // Mate scores count down from MATE_SCORE + MAX_PLY by the ply the game
+  // ends at, so nearer wins score higher and the distance can be read back
+  const MAX_PLY = 128;
+  
+  // Transposition table bound types
+  const TT_EXACT = 0;
+  const TT_LOWER = 1;
+  const TT_UPPER = 2;
+  const TT_MAX_ENTRIES = 200000;
+  
+  const ASPIRATION_WINDOW = 50;
+  
+  // Quiescence skips captures that cannot lift the score to alpha even
+  // with this much positional gain on top of the captured material
+  const DELTA_MARGIN = 200;
+  
+  // Attacker/victim ranks for MVV-LVA capture ordering
+  const ORDER_RANK = {
+    [PIECES.PAWN]: 1,
+    [PIECES.KNIGHT]: 2,
+    [PIECES.BISHOP]: 3,
+    [PIECES.ROOK]: 4,
+    [PIECES.QUEEN]: 5,
+    [PIECES.KING]: 6
+  };
+  
+  const HASH_MOVE_ORDER = 1000000;
+  const CAPTURE_ORDER = 100000;
+  const KILLER_ORDER = 90000;
+  const MOVES_TO_GO = 30;
+  const CLOCK_SAFETY_MS = 100;
+  const ANALYSIS_DEPTH = 5;
+  
+  // Entries are keyed by Zobrist hash, which does not include the rules
+  // variant or how positions are scored, so the table is cleared whenever
+  // the variant or personality changes
+  const transpositions = new Map();
+  let transpositionContext = null;
+  
+  // Score of a finished game for the side to move, found `ply` moves from
+  // the root. With contempt the root side counts a draw as worse than equal
+  function terminalScore(result, chess, ply, contempt = 0) {
+    if (!result.winner) return ply % 2 === 0 ? -contempt : contempt;
+    const score = MATE_SCORE + MAX_PLY - ply;
+    return result.winner === chess.turn ? score : -score;
+  }
+  
+  // Tabled endings score as the mate they lead to, found `ply` moves from the root
+  function endgameScore(probe, ply) {
+    if (probe.result === 'draw') return 0;
+    const score = MATE_SCORE + MAX_PLY - ply - probe.plies;
+    return probe.result === 'win' ? score : -score;
+  }
+  
+  // Plies from the root to the end of the game, or null for ordinary scores
+  function mateDistance(score) {
+    if (Math.abs(score) < MATE_SCORE) return null;
+    return MATE_SCORE + MAX_PLY - Math.abs(score);
+  }
+  
+  // The table stores mate scores relative to the node they were found at
+  function scoreToTable(score, ply) {
+    if (score >= MATE_SCORE) return score + ply;
+    if (score <= -MATE_SCORE) return score - ply;
+    return score;
+  }
+  
+  function scoreFromTable(score, ply) {
+    if (score >= MATE_SCORE) return score - ply;
+    if (score <= -MATE_SCORE) return score + ply;
+    return score;
+  }
+  
+  function moveKey(move) {
+    return move.drop ? move.piece + '@' + move.to : move.from + move.to + (move.promotion || '');
+  }
+  
+  function storeTransposition(table, key, depth, score, flag, move) {
+    if (table.size >= TT_MAX_ENTRIES) table.clear();
+    table.set(key, { depth, score, flag, move: move ? moveKey(move) : null });
+  }
+  
+  // The search plays moves in place and takes them back, keeping the
+  // position history in step so repetitions are still seen
+  function playMove(chess, move) {
+    const undo = chess.makeMove(move);
+    chess.positionHistory.push(chess.getPositionKey());
+    return undo;
+  }
+  
+  function takeBack(chess, undo) {
+    chess.positionHistory.pop();
+    chess.unmakeMove(undo);
+  }
+  
+  function isQuiet(move) {
+    return !move.captured && !move.promotion;
+  }
+  
+  // Most valuable victim first, least valuable attacker breaking ties
+  function captureOrder(move) {
+    const victim = move.captured ? ORDER_RANK[move.captured] : 0;
+    const promotion = move.promotion ? ORDER_RANK[move.promotion] : 0;
+    return (victim + promotion) * 8 - ORDER_RANK[move.piece];
+  }
+  
+  // Move ordering: the hash move, captures and promotions by MVV-LVA,
+  // the ply's killer moves, then quiet moves by history score
+  function orderMoves(moves, hashMove, search, ply) {
+    const killers = search.killers[ply] || [];
+    const scored = moves.map(move => {
+      const key = moveKey(move);
+      let score;
+      if (key === hashMove) {
+        score = HASH_MOVE_ORDER;
+      } else if (!isQuiet(move)) {
+        score = CAPTURE_ORDER + captureOrder(move);
+      } else if (killers.includes(key)) {
+        score = KILLER_ORDER - killers.indexOf(key);
+      } else {
+        score = search.history.get(move.color + key) || 0;
+      }
+      return { move, score };
+    });
+    scored.sort((a, b) => b.score - a.score);
+    return scored.map(entry => entry.move);
+  }
+  
+  // A quiet move that caused a beta cutoff becomes a killer at its ply and
+  // gains history weight for ordering elsewhere in the tree
+  function recordCutoff(search, move, depth, ply) {
+    const key = moveKey(move);
+    const killers = search.killers[ply] || (search.killers[ply] = []);
+    if (killers[0] !== key) {
+      killers.unshift(key);
+      killers.length = Math.min(killers.length, 2);
+    }
+    const historyKey = move.color + key;
+    search.history.set(historyKey, (search.history.get(historyKey) || 0) + depth * depth);
+  }
+  
+  // Static exchange evaluation: the material balance of the capture
+  // sequence on the target square, each side recapturing with its least
+  // valuable piece and free to stop when recapturing would lose material
+  function staticExchange(chess, move) {
+    const lifted = new Set([move.from]);
+    const gains = [PIECE_VALUES[move.captured]];
+    let onSquare = PIECE_VALUES[move.promotion || move.piece];
+    let side = move.color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    
+    for (;;) {
+      let attacker = null;
+      for (const square of chess.attackers(move.to, side, lifted)) {
+        const piece = chess.get(square);
+        if (!attacker || PIECE_VALUES[piece.type] < PIECE_VALUES[attacker.piece.type]) {
+          attacker = { square, piece };
+        }
+      }
+      if (!attacker) break;
+      
+      gains.push(onSquare - gains[gains.length - 1]);
+      onSquare = PIECE_VALUES[attacker.piece.type];
+      lifted.add(attacker.square);
+      side = side === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    }
+    
+    for (let i = gains.length - 1; i > 0; i--) {
+      gains[i - 1] = -Math.max(-gains[i - 1], gains[i]);
+    }
+    return gains[0];
+  }
+  
+  // Searches captures and promotions until the position is quiet, so
+  // depth-0 scores are not taken in the middle of an exchange; in check
+  // every evasion is searched. moves are given when the caller generated them
+  function quiesce(search, alpha, beta, ply, moves = null) {
+    const { chess } = search;
+    if (!moves) {
+      if (outOfTime(search)) return 0;
+      moves = chess.moves();
+      const result = chess.getResult(moves);
+      if (result) {
+        return terminalScore(result, chess, ply, search.contempt);
+      }
+      const tabled = probeEndgame(chess);
+      if (tabled) return endgameScore(tabled, ply);
+    }
+    
+    const evaluation = evaluate(chess, search.weights);
+    const standPat = chess.turn === COLORS.WHITE ? evaluation : -evaluation;
+    const inCheck = chess.inCheck();
+    if (ply >= MAX_PLY) return standPat;
+    
+    let bestScore = -Infinity;
+    if (!inCheck) {
+      if (standPat >= beta) return standPat;
+      if (standPat > alpha) alpha = standPat;
+      bestScore = standPat;
+    }
+    
+    const candidates = inCheck ? moves : moves.filter(move => !isQuiet(move));
+    for (const move of orderMoves(candidates, null, search, ply)) {
+      if (!inCheck) {
+        const gain = (move.captured ? PIECE_VALUES[move.captured] : 0) +
+          (move.promotion ? PIECE_VALUES[move.promotion] - PIECE_VALUES[PIECES.PAWN] : 0);
+        if (standPat + gain + DELTA_MARGIN <= alpha) continue;
+        if (move.captured && !move.promotion && !move.enPassant && staticExchange(chess, move) < 0) continue;
+      }
+      
+      const undo = playMove(chess, move);
+      const score = -quiesce(search, -beta, -alpha, ply + 1);
+      takeBack(chess, undo);
+      if (search.stopped) return 0;
+      
+      if (score > bestScore) bestScore = score;
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) break;
+    }
+    
+    return bestScore;
+  }
+  
+  // The clock and the caller's shouldStop are only read every 256 nodes
+  function outOfTime(search) {
+    search.nodes++;
+    if ((search.nodes & 255) === 0 && ((search.deadline !== null && Date.now() >= search.deadline) ||
+        (search.shouldStop && search.shouldStop()))) {
+      search.stopped = true;
+    }
+    return search.stopped;
+  }
+  
+  // Negamax alpha-beta; scores are from the side to move's point of view
+  function negamax(search, depth, alpha, beta, ply) {
+    const { chess } = search;
+    if (outOfTime(search)) return 0;
+    
+    let moves = chess.moves();
+    const result = chess.getResult(moves);
+    if (result) {
+      return terminalScore(result, chess, ply, search.contempt);
+    }
+    const tabled = probeEndgame(chess);
+    if (tabled) return endgameScore(tabled, ply);
+    // A strength-limited search may not see every reply to its move
+    if (ply === 1 && search.blindSpots) moves = visibleMoves(search, moves);
+    if (depth === 0) {
+      return quiesce(search, alpha, beta, ply, moves);
+    }
+    
+    const key = chess.hash();
+    const entry = search.table.get(key);
+    if (entry && entry.depth >= depth) {
+      const score = scoreFromTable(entry.score, ply);
+      if (entry.flag === TT_EXACT) return score;
+      if (entry.flag === TT_LOWER && score >= beta) return score;
+      if (entry.flag === TT_UPPER && score <= alpha) return score;
+    }
+    
+    const ordered = orderMoves(moves, entry && entry.move, search, ply);
+    
+    const alphaStart = alpha;
+    let bestScore = -Infinity;
+    let bestMove = null;
+    for (const move of ordered) {
+      const undo = playMove(chess, move);
+      const score = -negamax(search, depth - 1, -beta, -alpha, ply + 1);
+      takeBack(chess, undo);
+      if (search.stopped) return 0;
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = move;
+      }
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) {
+        if (isQuiet(move)) recordCutoff(search, move, depth, ply);
+        break;
+      }
+    }
+    
+    const flag = bestScore <= alphaStart ? TT_UPPER : bestScore >= beta ? TT_LOWER : TT_EXACT;
+    storeTransposition(search.table, key, depth, scoreToTable(bestScore, ply), flag, bestMove);
+    return bestScore;
+  }
+  
+  // Searches every root move and re-sorts search.rootMoves best first;
+  // moves that fail low keep their upper bound as score. The best
+  // search.multiPV moves are searched with an open window so their scores
+  // stay exact
+  function searchRoot(search, depth, alpha, beta) {
+    const { chess, rootMoves, multiPV } = search;
+    const bestScores = [];
+    let bestScore = -Infinity;
+    
+    for (const entry of rootMoves) {
+      const bound = bestScores.length < multiPV ? -Infinity : bestScores[multiPV - 1];
+      const undo = playMove(chess, entry.move);
+      const score = -negamax(search, depth - 1, -beta, -Math.max(alpha, bound), 1);
+      takeBack(chess, undo);
+      if (search.stopped) return null;
+      
+      entry.score = score;
+      let index = bestScores.length;
+      while (index > 0 && bestScores[index - 1] < score) index--;
+      bestScores.splice(index, 0, score);
+      bestScore = bestScores[0];
+      if (bestScore >= beta) break;
+    }
+    
+    rootMoves.sort((a, b) => b.score - a.score);
+    const flag = bestScore <= alpha ? TT_UPPER : bestScore >= beta ? TT_LOWER : TT_EXACT;
+    storeTransposition(search.table, chess.hash(), depth, bestScore, flag, rootMoves[0].move);
+    return bestScore;
+  }
+  
+  // Each iteration starts in a window around the previous score and
+  // re-searches with a full window when the score falls outside it; a
+  // multi-PV search always uses the full window
+  function searchIteration(search, depth, previousScore) {
+    if (search.multiPV === 1 && depth >= 3 && Math.abs(previousScore) < MATE_SCORE) {
+      const alpha = previousScore - ASPIRATION_WINDOW;
+      const beta = previousScore + ASPIRATION_WINDOW;
+      const score = searchRoot(search, depth, alpha, beta);
+      if (score === null || (score > alpha && score < beta)) return score;
+    }
+    return searchRoot(search, depth, -Infinity, Infinity);
+  }
+  
+  // Follows hash moves from the root while they stay legal, then the
+  // endgame tables' moves once the line reaches a tabled ending
+  function principalVariation(chess, depth, table = transpositions) {
+    const pv = [];
+    const undos = [];
+    while (pv.length < depth) {
+      const entry = table.get(chess.hash());
+      const moves = chess.moves();
+      let move = entry && entry.move && moves.find(m => moveKey(m) === entry.move);
+      if (!move) {
+        const tableMove = moves.length > 0 && bestEndgameMove(chess, moves);
+        move = tableMove && tableMove.move;
+      }
+      if (!move) break;
+      pv.push(move);
+      undos.push(playMove(chess, move));
+    }
+    while (undos.length) takeBack(chess, undos.pop());
+    return pv;
+  }
+  
+  // In a tabled ending every move is scored from the tables, so wins are
+  // converted by the shortest route and lost positions held out longest
+  function bestEndgameMove(chess, moves) {
+    if (!probeEndgame(chess)) return null;
+    
+    const position = chess.copy();
+    let best = null;
+    for (const move of moves) {
+      const undo = position.makeMove(move);
+      // Captures and minor-piece promotions leave bare kings or a lone minor piece
+      const tabled = probeEndgame(position);
+      const score = tabled ? -endgameScore(tabled, 1) : 0;
+      position.unmakeMove(undo);
+      if (!best || score > best.score) best = { move, score };
+    }
+    return best;
+  }
+  
+  // Milliseconds to spend on this move: a fixed movetime, or a share of the
+  // remaining clock plus most of the increment, always leaving a reserve
+  function timeBudget(options) {
+    if (options.movetime) return options.movetime;
+    const clock = options.clock;
+    if (!clock || clock.time === undefined || clock.time === null) return null;
+    
+    const increment = clock.increment || 0;
+    const movesToGo = clock.movesToGo || MOVES_TO_GO;
+    const budget = clock.time / movesToGo + increment * 0.75;
+    return Math.max(10, Math.min(budget, clock.time * 0.5, clock.time - CLOCK_SAFETY_MS));
+  }
+  
+  // The principal variation starting with one of the root moves
+  function rootLine(search, entry, depth) {
+    const undo = playMove(search.chess, entry.move);
+    const pv = [entry.move, ...principalVariation(search.chess, depth - 1, search.table)];
+    takeBack(search.chess, undo);
+    return pv;
+  }
+  
+  // Iterative deepening over the root moves, returning the search and its
+  // deepest completed iteration with the top multiPV lines. onIteration
+  // receives the best line's score and pv, plus those lines, after each
+  // completed depth. blindSpots (a Set of squares, see pickBlindSpots)
+  // hides those pieces' long-range captures on the first two plies,
+  // personality (a PERSONALITIES key) sets the evaluation and contempt, and
+  // shouldStop, polled like the clock, ends the search early
+  function runSearch(chess, moves, {
+    maxDepth, budget, startTime, multiPV = 1, exhaustive = false, blindSpots = null,
+    personality = 'balanced', shouldStop = null, onIteration
+  }) {
+    // With contempt, scores also depend on which side the search is for
+    const profile = PERSONALITIES[personality];
+    const context = `${chess.variant.key}:${personality}:${profile.contempt ? chess.turn : ''}`;
+    if (transpositionContext !== context) {
+      transpositions.clear();
+      transpositionContext = context;
+    }
+    
+    // Search a private copy so the caller's game is never touched. A search
+    // with blind spots keeps its flawed scores out of the shared table
+    const search = {
+      chess: chess.copy(),
+      rootMoves: null,
+      multiPV,
+      blindSpots,
+      weights: scaleWeights(EVAL_WEIGHTS, profile.weights),
+      contempt: profile.contempt,
+      table: blindSpots ? new Map() : transpositions,
+      killers: [],
+      history: new Map(),
+      deadline: budget === null ? null : startTime + budget,
+      shouldStop,
+      nodes: 0,
+      stopped: false
+    };
+    const hashEntry = search.table.get(chess.hash());
+    const rootMoves = blindSpots ? visibleMoves(search, moves) : moves;
+    search.rootMoves = orderMoves(rootMoves, hashEntry && hashEntry.move, search, 0)
+      .map(move => ({ move, score: -Infinity }));
+    const whiteScore = score => chess.turn === COLORS.WHITE ? score : -score;
+    
+    let completed = null;
+    let score = 0;
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      // The first iteration always completes so there is a move to play
+      if (depth > 1 && shouldStop && shouldStop()) break;
+      const deadline = search.deadline;
+      if (depth === 1) {
+        search.deadline = null;
+        search.shouldStop = null;
+      }
+      const iterationScore = searchIteration(search, depth, score);
+      search.deadline = deadline;
+      search.shouldStop = shouldStop;
+      if (iterationScore === null) break;
+      
+      score = iterationScore;
+      const lines = search.rootMoves.slice(0, multiPV).map(entry => ({
+        score: whiteScore(entry.score),
+        pv: rootLine(search, entry, depth)
+      }));
+      completed = { depth, rootMoves: search.rootMoves.map(entry => ({ ...entry })), lines };
+      
+      const elapsed = Date.now() - startTime;
+      if (onIteration) {
+        onIteration({
+          depth,
+          score: lines[0].score,
+          nodes: search.nodes,
+          time: elapsed,
+          pv: lines[0].pv,
+          lines
+        }, completed);
+      }
+      
+      // Stop early with a single legal move, a forced mate inside the
+      // searched depth, an obvious move once a little time has gone into
+      // it, or when the next iteration is unlikely to finish. Analysis
+      // wants every line at full depth, so only the clock stops it
+      const mate = mateDistance(score);
+      if (!exhaustive && (moves.length === 1 || (mate !== null && mate <= depth))) break;
+      if (budget !== null && elapsed > budget / 2) break;
+      if (budget !== null && !exhaustive && depth >= 3 && elapsed > budget / 8 &&
+          isObviousMove(search.rootMoves)) break;
+    }
+    
+    return { search, completed };
+  }
+  
+  // options.depth overrides the level's search depth and options.rating
+  // (400-2200) replaces the level with an interpolated strength;
+  // options.personality picks one of PERSONALITIES (default balanced);
+  // options.movetime (ms) or options.clock ({ time, increment, movesToGo }
+  // in ms) bound the search time; options.book = false skips the opening
+  // book; options.thinkDelay = false skips padding the move out to a human
+  // thinking time (used by the UCI front end); options.shouldStop, a
+  // function polled during the search, ends it with the deepest completed
+  // iteration once it returns true; options.onIteration receives each
+  // completed depth, with the move the search would play if stopped there
+  // as move. Searched and book moves carry the reply they expect as ponder
+  async function getBestMove(chess, level = 3, options = {}) {
     const startTime = Date.now();
-    const config = LEVEL_CONFIG[level] || LEVEL_CONFIG[3];
+    const config = options.rating ? strengthProfile(options.rating) : (LEVEL_CONFIG[level] || LEVEL_CONFIG[3]);
+    const personality = PERSONALITIES[options.personality] ? options.personality : 'balanced';
+    // Risk needs a choice of moves, even at full strength
+    const candidates = PERSONALITIES[personality].risk ? Math.max(config.candidates, RISK_CANDIDATES) : config.candidates;
+    const maxDepth = Math.min(options.depth || config.depth, MAX_PLY);
+    const budget = timeBudget(options);
     const moves = chess.moves();
     
     if (moves.length === 0) return null;
     
-    // Add small delay to show "thinking" indicator
-    await new Promise(resolve => setTimeout(resolve, 200 + Math.random() * 300));
+    // Waits out the rest of a human thinking time, never more than a
+    // quarter of the time available for the move
+    const think = async time => {
+      if (options.thinkDelay === false) return;
+      const delay = (budget === null ? time : Math.min(time, budget / 4)) - (Date.now() - startTime);
+      if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+    };
+    // Lets the page show its "thinking" indicator before a main-thread search
+    if (options.thinkDelay !== false) await new Promise(resolve => setTimeout(resolve, 0));
     
-    // Evaluate all moves
-    const moveScores = [];
-    const maximizing = chess.turn === COLORS.WHITE;
+    // Known openings are played from the book without searching
+    const ply = (chess.fullMoves - 1) * 2 + (chess.turn === COLORS.BLACK ? 1 : 0);
+    const bookMove = options.book !== false && ply < config.bookDepth ? pickBookMove(chess) : null;
+    if (bookMove) {
+      await think(200 + Math.random() * 300);
+      return {
+        ...bookMove,
+        book: true,
+        ponder: bookReply(chess, bookMove),
+        score: null,
+        depth: 0,
+        nodes: 0,
+        think_time_ms: Date.now() - startTime
+      };
+    }
     
-    for (const move of moves) {
-      const chessCopy = chess.copy();
-      chessCopy.move(move);
-      const score = minimax(chessCopy, config.depth - 1, -Infinity, Infinity, !maximizing);
-      moveScores.push({ move, score });
+    const tableMove = bestEndgameMove(chess, moves);
+    if (tableMove) {
+      await think(200 + Math.random() * 300);
+      return {
+        ...tableMove.move,
+        tablebase: true,
+        score: chess.turn === COLORS.WHITE ? tableMove.score : -tableMove.score,
+        depth: 0,
+        nodes: 0,
+        think_time_ms: Date.now() - startTime
+      };
     }
     
-    // Sort by score
-    moveScores.sort((a, b) => maximizing ? b.score - a.score : a.score - b.score);
+    // Each move is misjudged the same way at every depth, so the move of
+    // an iteration is the one played if the search stops after it
+    const noise = new Map();
+    const select = completed => {
+      const selected = chooseMove(chess, completed.rootMoves, candidates, config, PERSONALITIES[personality], noise);
+      const line = completed.lines.find(entry => entry.pv[0] === selected.move);
+      return {
+        ...selected.move,
+        score: chess.turn === COLORS.WHITE ? selected.score : -selected.score,
+        ponder: line && line.pv.length > 1 ? line.pv[1] : null,
+        depth: completed.depth
+      };
+    };
+    const onIteration = options.onIteration &&
+      ((info, completed) => options.onIteration({ ...info, move: select(completed) }));
     
-    // Add randomness for lower levels
-    let selectedMove;
-    if (config.randomness > 0 && Math.random() * 100 < config.randomness) {
-      // Pick a random move from top 3
-      const topMoves = moveScores.slice(0, Math.min(3, moveScores.length));
-      selectedMove = topMoves[Math.floor(Math.random() * topMoves.length)].move;
-    } else {
-      selectedMove = moveScores[0].move;
-    }
+    const { search, completed } = runSearch(chess, moves, {
+      maxDepth,
+      budget,
+      startTime,
+      multiPV: candidates,
+      blindSpots: pickBlindSpots(chess, config.overlook),
+      personality,
+      shouldStop: options.shouldStop,
+      onIteration
+    });
+    
+    const move = select(completed);
+    await think(thinkingTime(completed.rootMoves));
     
     return {
-      ...selectedMove,
+      ...move,
+      nodes: search.nodes,
       think_time_ms: Date.now() - startTime
     };
   }
   
+  // Returns the best options.multiPV moves (default 1), best first, as
+  // { move, san, score, mate, depth, pv } with score in centipawns from
+  // White's point of view, mate the signed number of moves to mate (positive
+  // when White mates) or null, and pv the principal variation in SAN.
+  // Searches to options.depth (default ANALYSIS_DEPTH without a time limit)
+  // or until options.movetime / options.clock run out or options.shouldStop
+  // returns true, whichever ends first
+  function analyze(chess, options = {}) {
+    const startTime = Date.now();
+    const moves = chess.moves();
+    if (moves.length === 0) return [];
+    
+    const multiPV = Math.max(1, Math.min(options.multiPV || 1, moves.length));
+    const budget = timeBudget(options);
+    const maxDepth = Math.min(options.depth || (budget === null ? ANALYSIS_DEPTH : MAX_PLY), MAX_PLY);
+    const { completed } = runSearch(chess, moves, {
+      maxDepth,
+      budget,
+      startTime,
+      multiPV,
+      exhaustive: true,
+      shouldStop: options.shouldStop,
+      onIteration: options.onIteration
+    });
+    
+    const position = chess.copy();
+    return completed.lines.map(line => {
+      const plies = mateDistance(line.score);
+      const undos = [];
+      const pv = line.pv.map(move => {
+        const san = position.moveToSan(move);
+        undos.push(position.makeMove(move));
+        return san;
+      });
+      while (undos.length) position.unmakeMove(undos.pop());
+      return {
+        move: line.pv[0],
+        san: pv[0],
+        score: line.score,
+        mate: plies === null ? null : Math.sign(line.score) * Math.ceil(plies / 2),
+        depth: completed.depth,
+        pv
+      };
+    });
+  }
+  
   async function getEvaluation(chess) {
+    // Tabled endings are scored exactly, as the mate they lead to
+    const tabled = probeEndgame(chess);
+    if (tabled) {
+      const score = endgameScore(tabled, 0);
+      return chess.turn === COLORS.WHITE ? score : -score;
+    }
+    
     // Return evaluation in centipawns
     return evaluate(chess);
   }
@@ -1046,5 +4086,13 @@ const ChessAI = (function() {
     return Promise.resolve(true);
   }
   
-  return { getBestMove, init, getEvaluation };
+  return {
+    getBestMove, analyze, init, evaluate, getEvaluation, mateDistance, loadBook, getBookMoves, probeEndgame,
+    explainMove, hangingPieces, passTurn, timeBudget, LEVEL_CONFIG, PERSONALITIES, EVAL_WEIGHTS, MATE_SCORE
+  };
 })();
+
+// Allow the engine to be required from Node (UCI front end, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ChessEngine, ChessAI };
+}
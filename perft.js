@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Perft Runner
+ * Checks the move generator against the bundled perft suite, or splits the
+ * count of a single position by root move to track down a mismatch
+ *
+ * Usage: node perft.js [--depth N] [--name text]
+ *        node perft.js --fen "<fen>" [--depth N] [--chess960]
+ */
+
+const { ChessEngine } = require('./chess-engine.js');
+
+const { Chess, PERFT_SUITE } = ChessEngine;
+
+const DEFAULT_DEPTH = 3;
+
+function parseArgs(argv) {
+  const options = { depth: DEFAULT_DEPTH, name: null, fen: null, chess960: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--depth') {
+      options.depth = parseInt(argv[++i]);
+    } else if (arg === '--name') {
+      options.name = argv[++i].toLowerCase();
+    } else if (arg === '--fen') {
+      options.fen = argv[++i];
+    } else if (arg === '--chess960') {
+      options.chess960 = true;
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  if (!(options.depth >= 1)) throw new Error('--depth must be a positive number');
+  return options;
+}
+
+// Each position runs to the requested depth or the deepest published count
+function runSuite(options) {
+  let failures = 0;
+  const positions = PERFT_SUITE.filter(position =>
+    !options.name || position.name.toLowerCase().includes(options.name)
+  );
+
+  for (const position of positions) {
+    const chess = new Chess(position.fen, { strict: true, chess960: position.chess960 });
+    const depth = Math.min(options.depth, position.counts.length);
+
+    for (let d = 1; d <= depth; d++) {
+      const start = Date.now();
+      const nodes = chess.perft(d);
+      const expected = position.counts[d - 1];
+      const ok = nodes === expected;
+      if (!ok) failures++;
+
+      console.log(`${ok ? 'ok  ' : 'FAIL'} ${position.name} depth ${d}: ${nodes}` +
+        `${ok ? '' : ` (expected ${expected})`} ${Date.now() - start}ms`);
+    }
+  }
+
+  console.log(failures === 0 ? 'All perft counts match' : `${failures} perft count(s) differ`);
+  return failures === 0;
+}
+
+function runDivide(options) {
+  const chess = new Chess(options.fen, { strict: true, chess960: options.chess960 });
+  const counts = chess.divide(options.depth);
+  let total = 0;
+
+  for (const move of Object.keys(counts).sort()) {
+    console.log(`${move}: ${counts[move]}`);
+    total += counts[move];
+  }
+  console.log(`\nMoves: ${Object.keys(counts).length}`);
+  console.log(`Nodes: ${total}`);
+  return true;
+}
+
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const ok = options.fen ? runDivide(options) : runSuite(options);
+    process.exit(ok ? 0 : 1);
+  } catch (error) {
+    console.error(error.errors ? `Invalid FEN: ${error.errors.join('; ')}` : error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = { runSuite, runDivide };
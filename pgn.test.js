@@ -0,0 +1,35 @@
+/**
+ * PGN Tests
+ *
+ * Usage: node --test pgn.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChessEngine } = require('./chess-engine.js');
+
+const { Chess } = ChessEngine;
+
+// Imports text and exports it again
+function roundTrip(text) {
+  const chess = new Chess();
+  const loaded = chess.loadPgn(text);
+  assert.ok(loaded.ok, loaded.error && loaded.error.message);
+  return chess.pgn();
+}
+
+test('a result given only after the moves survives import and export', () => {
+  const pgn = roundTrip('1. e4 e5 0-1');
+  assert.match(pgn, /\[Result "0-1"\]/);
+  assert.match(pgn, /1\. e4 e5 0-1$/);
+});
+
+test('comments in a variation survive import and export', () => {
+  const pgn = roundTrip('1. e4 (1. d4 {after d4} d5 {after d5}) ({only a comment}) e5 *');
+  assert.match(pgn, /\(1\. d4 \{after d4\} 1\.\.\. d5 \{after d5\}\) \(\{only a comment\}\) 1\.\.\. e5 \*$/);
+});
+
+test('missing tags export as unknown rather than made-up values', () => {
+  const pgn = roundTrip('[White "Anderssen"]\n\n1. e4 e5 *');
+  assert.match(pgn, /\[Event "\?"\]\n\[Site "\?"\]\n\[Date "\?\?\?\?\.\?\?\.\?\?"\]\n\[White "Anderssen"\]\n\[Black "\?"\]/);
+});
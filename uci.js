@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/**
+ * UCI Front End
+ * Speaks the Universal Chess Interface over stdin/stdout so ChessAI can be
+ * driven by chess GUIs and match runners (cutechess-cli, Arena, ...)
+ *
+ * Usage: node uci.js
+ *
+ * Searches run on a worker thread so `stop`, `isready` and `quit` are
+ * answered while one is in progress; the thread polls a shared stop flag.
+ */
+
+const fs = require('fs');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { ChessEngine, ChessAI } = require('./chess-engine.js');
+
+const { Chess, COLORS } = ChessEngine;
+
+const ENGINE_NAME = 'Axon Chess Master';
+const ENGINE_AUTHOR = 'Axon Chess Team';
+const MAX_MULTI_PV = 16;
+const MIN_ELO = 400;
+const MAX_ELO = 2200;
+const DEFAULT_ELO = 1400;
+// Level 8 has no human-error model, so by default the engine plays its best
+const DEFAULT_LEVEL = 8;
+const INFINITE_DEPTH = 128;
+
+function createUciEngine(write) {
+  let chess = new Chess();
+  let level = DEFAULT_LEVEL;
+  let chess960 = false;
+  let ownBook = true;
+  let multiPV = 1;
+  let limitStrength = false;
+  let elo = DEFAULT_ELO;
+  let personality = 'balanced';
+  let bookData = null;
+  let worker = null;
+  let stopFlag = null;
+  let search = null; // { turn, infinite, stopRequested, result } of the running go
+
+  // ===== Position Handling =====
+
+  function parseUciMove(text) {
+    if (!/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(text)) return null;
+    return {
+      from: text.slice(0, 2),
+      to: text.slice(2, 4),
+      promotion: text[4]
+    };
+  }
+
+  // Castling is sent as king-to-g/c-file in standard chess and as
+  // king-takes-rook under UCI_Chess960, which is also how Chess stores it
+  function toUciMove(move) {
+    return move.from + move.to + (move.promotion || '');
+  }
+
+  function setPosition(args) {
+    let position;
+    const movesIndex = args.indexOf('moves');
+    const setup = movesIndex >= 0 ? args.slice(0, movesIndex) : args;
+    const moves = movesIndex >= 0 ? args.slice(movesIndex + 1) : [];
+
+    if (setup[0] === 'startpos') {
+      position = new Chess(undefined, { chess960 });
+    } else if (setup[0] === 'fen') {
+      try {
+        position = new Chess(setup.slice(1).join(' '), { strict: true, chess960 });
+      } catch (error) {
+        write(`info string invalid fen: ${error.errors ? error.errors.join('; ') : error.message}`);
+        return;
+      }
+    } else {
+      write(`info string invalid position command`);
+      return;
+    }
+
+    for (const text of moves) {
+      const move = parseUciMove(text);
+      if (!move || !position.move(move)) {
+        write(`info string illegal move ${text}`);
+        return;
+      }
+    }
+
+    chess = position;
+  }
+
+  // ===== Search =====
+
+  function parseGoArgs(args) {
+    const params = {};
+    for (let i = 0; i < args.length; i++) {
+      const key = args[i];
+      if (key === 'infinite') {
+        params.infinite = true;
+        params.depth = INFINITE_DEPTH;
+      } else if (['depth', 'movetime', 'wtime', 'btime', 'winc', 'binc', 'movestogo'].includes(key)) {
+        params[key] = parseInt(args[++i]);
+      }
+    }
+    return params;
+  }
+
+  // ChessAI manages the time itself given the clock of the side to move;
+  // with UCI_LimitStrength on, the UCI_Elo rating takes the place of Level.
+  // go infinite ignores the clock and runs until stop
+  function searchOptions(params) {
+    const isWhite = chess.turn === COLORS.WHITE;
+    const remaining = params.infinite ? undefined : (isWhite ? params.wtime : params.btime);
+    return {
+      depth: params.depth,
+      movetime: params.infinite ? undefined : params.movetime,
+      clock: remaining === undefined ? null : {
+        time: remaining,
+        increment: (isWhite ? params.winc : params.binc) || 0,
+        movesToGo: params.movestogo
+      },
+      rating: limitStrength ? elo : undefined,
+      personality,
+      book: ownBook,
+      thinkDelay: false
+    };
+  }
+
+  // UCI scores are from the side to move; ChessAI scores from White's point of view
+  function formatScore(whiteScore, turn) {
+    const score = turn === COLORS.WHITE ? whiteScore : -whiteScore;
+    const plies = ChessAI.mateDistance(score);
+    if (plies === null) return `cp ${Math.round(score)}`;
+    const moves = Math.ceil(plies / 2);
+    return `mate ${score > 0 ? moves : -moves}`;
+  }
+  
+  function getWorker() {
+    if (worker) return worker;
+    stopFlag = new Int32Array(new SharedArrayBuffer(4));
+    worker = new Worker(__filename, { workerData: { stopFlag } });
+    worker.on('message', handleWorkerMessage);
+    worker.on('error', error => {
+      write(`info string error ${error.message}`);
+      worker = null;
+      if (search) finishSearch(null);
+    });
+    if (bookData) worker.postMessage({ type: 'book', data: bookData });
+    return worker;
+  }
+
+  function go(args) {
+    if (search) {
+      write('info string search already running');
+      return;
+    }
+
+    const params = parseGoArgs(args);
+    search = { turn: chess.turn, infinite: !!params.infinite, stopRequested: false, result: null };
+    const thread = getWorker();
+    Atomics.store(stopFlag, 0, 0);
+    thread.ref();
+    thread.postMessage({
+      type: 'go',
+      position: {
+        fen: chess.startingFen(),
+        chess960: chess.chess960,
+        moves: chess.moveHistory.map(({ from, to, promotion }) => ({ from, to, promotion }))
+      },
+      level,
+      multiPV,
+      options: searchOptions(params)
+    });
+  }
+
+  function handleWorkerMessage(message) {
+    if (!search) return;
+    if (message.type === 'info') {
+      writeInfo(message.info);
+    } else if (message.type === 'error') {
+      write(`info string error ${message.message}`);
+      finishSearch(null);
+    } else if (search.infinite && !search.stopRequested) {
+      // go infinite may only answer after stop, even when the search ends first
+      search.result = message;
+    } else {
+      finishSearch(message.move);
+    }
+  }
+
+  function writeInfo(info) {
+    const { turn } = search;
+    if (multiPV === 1) {
+      write(`info depth ${info.depth} score ${formatScore(info.score, turn)} nodes ${info.nodes} time ${info.time} pv ${info.pv.map(toUciMove).join(' ')}`);
+      return;
+    }
+    info.lines.forEach((line, index) => {
+      write(`info depth ${info.depth} multipv ${index + 1} score ${formatScore(line.score, turn)} nodes ${info.nodes} time ${info.time} pv ${line.pv.map(toUciMove).join(' ')}`);
+    });
+  }
+
+  // An idle search thread must not keep the process alive
+  function finishSearch(result) {
+    search = null;
+    if (worker) worker.unref();
+    if (!result) {
+      write('bestmove 0000');
+      return;
+    }
+    write(`bestmove ${toUciMove(result)}${result.ponder ? ` ponder ${toUciMove(result.ponder)}` : ''}`);
+  }
+
+  // The search ends with its deepest completed iteration
+  function stop() {
+    if (!search) return;
+    search.stopRequested = true;
+    if (search.result) {
+      finishSearch(search.result.move);
+    } else {
+      Atomics.store(stopFlag, 0, 1);
+    }
+  }
+
+  // ===== Commands =====
+
+  function setOption(args) {
+    const nameIndex = args.indexOf('name');
+    const valueIndex = args.indexOf('value');
+    if (nameIndex < 0) return;
+
+    const name = args.slice(nameIndex + 1, valueIndex >= 0 ? valueIndex : undefined).join(' ').toLowerCase();
+    const value = valueIndex >= 0 ? args.slice(valueIndex + 1).join(' ') : '';
+
+    if (name === 'level') {
+      const parsed = parseInt(value);
+      if (ChessAI.LEVEL_CONFIG[parsed]) {
+        level = parsed;
+      } else {
+        write(`info string invalid level ${value}`);
+      }
+    } else if (name === 'uci_chess960') {
+      chess960 = value === 'true';
+    } else if (name === 'ownbook') {
+      ownBook = value === 'true';
+    } else if (name === 'uci_limitstrength') {
+      limitStrength = value === 'true';
+    } else if (name === 'uci_elo') {
+      const parsed = parseInt(value);
+      if (parsed >= MIN_ELO && parsed <= MAX_ELO) {
+        elo = parsed;
+      } else {
+        write(`info string invalid UCI_Elo ${value}`);
+      }
+    } else if (name === 'personality') {
+      if (ChessAI.PERSONALITIES[value]) {
+        personality = value;
+      } else {
+        write(`info string invalid personality ${value}`);
+      }
+    } else if (name === 'multipv') {
+      const parsed = parseInt(value);
+      if (parsed >= 1 && parsed <= MAX_MULTI_PV) {
+        multiPV = parsed;
+      } else {
+        write(`info string invalid MultiPV ${value}`);
+      }
+    } else if (name === 'bookfile') {
+      // An empty value (or <empty>) switches back to the bundled book
+      try {
+        const path = value === '<empty>' ? '' : value;
+        const data = path ? fs.readFileSync(path) : null;
+        const entries = ChessAI.loadBook(data);
+        bookData = data;
+        if (worker) worker.postMessage({ type: 'book', data });
+        write(`info string book loaded with ${entries} entries`);
+      } catch (error) {
+        write(`info string cannot load book ${value}: ${error.message}`);
+      }
+    }
+  }
+
+  function handleCommand(command, args) {
+    switch (command) {
+      case 'uci':
+        write(`id name ${ENGINE_NAME}`);
+        write(`id author ${ENGINE_AUTHOR}`);
+        write(`option name Level type spin default ${DEFAULT_LEVEL} min 1 max 8`);
+        write('option name UCI_Chess960 type check default false');
+        write('option name OwnBook type check default true');
+        write('option name BookFile type string default <empty>');
+        write('option name UCI_LimitStrength type check default false');
+        write(`option name UCI_Elo type spin default ${DEFAULT_ELO} min ${MIN_ELO} max ${MAX_ELO}`);
+        write(`option name Personality type combo default balanced ${Object.keys(ChessAI.PERSONALITIES).map(key => `var ${key}`).join(' ')}`);
+        write(`option name MultiPV type spin default 1 min 1 max ${MAX_MULTI_PV}`);
+        write('uciok');
+        break;
+      case 'isready':
+        write('readyok');
+        break;
+      case 'ucinewgame':
+        chess = new Chess(undefined, { chess960 });
+        break;
+      case 'position':
+        setPosition(args);
+        break;
+      case 'setoption':
+        setOption(args);
+        break;
+      case 'go':
+        go(args);
+        break;
+      case 'stop':
+        stop();
+        break;
+      case 'quit':
+        process.exit(0);
+        break;
+      default:
+        write(`info string unknown command ${command}`);
+    }
+  }
+
+  // Every command is handled as it arrives; a `go` hands its position and
+  // options to the search thread, so later commands cannot change them
+  function handleLine(line) {
+    const [command, ...args] = line.trim().split(/\s+/);
+    if (!command) return;
+
+    try {
+      handleCommand(command, args);
+    } catch (error) {
+      write(`info string error ${error.message}`);
+    }
+  }
+
+  return { handleLine };
+}
+
+// ===== Search Thread =====
+
+function runSearchThread() {
+  const { stopFlag } = workerData;
+  const shouldStop = () => Atomics.load(stopFlag, 0) === 1;
+
+  parentPort.on('message', async message => {
+    if (message.type === 'book') {
+      ChessAI.loadBook(message.data);
+      return;
+    }
+
+    try {
+      const { position, level, multiPV } = message;
+      const chess = new Chess(position.fen, { chess960: position.chess960 });
+      for (const move of position.moves) chess.move(move);
+
+      const options = {
+        ...message.options,
+        shouldStop,
+        onIteration: info => parentPort.postMessage({ type: 'info', info })
+      };
+
+      // Several lines are an analysis request, searched at full strength
+      // without the book
+      let move;
+      if (multiPV > 1) {
+        const lines = ChessAI.analyze(chess, { ...options, multiPV });
+        move = lines.length > 0 ? lines[0].move : null;
+      } else {
+        move = await ChessAI.getBestMove(chess, level, options);
+      }
+      parentPort.postMessage({ type: 'bestmove', move });
+    } catch (error) {
+      parentPort.postMessage({ type: 'error', message: error.message });
+    }
+  });
+}
+
+if (!isMainThread) {
+  runSearchThread();
+} else if (require.main === module) {
+  const readline = require('readline');
+  const engine = createUciEngine(line => process.stdout.write(line + '\n'));
+  const input = readline.createInterface({ input: process.stdin });
+  input.on('line', engine.handleLine);
+}
+
+module.exports = { createUciEngine };
@@ -0,0 +1,72 @@
+/**
+ * UCI Front End Tests
+ *
+ * Usage: node --test uci.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUciEngine } = require('./uci.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves once a written line matches, failing after timeout ms
+async function waitForLine(lines, pattern, timeout = 10000) {
+  const start = Date.now();
+  while (!lines.some(line => pattern.test(line))) {
+    if (Date.now() - start > timeout) throw new Error(`no line matching ${pattern}`);
+    await sleep(20);
+  }
+}
+
+test('go infinite searches until stop and answers with one bestmove', async () => {
+  const lines = [];
+  const engine = createUciEngine(line => lines.push(line));
+
+  engine.handleLine('setoption name OwnBook value false');
+  engine.handleLine('position startpos moves e2e4 e7e5');
+  engine.handleLine('go infinite');
+  await waitForLine(lines, /^info depth 2 /);
+
+  // The engine keeps answering while it searches
+  engine.handleLine('isready');
+  assert.ok(lines.includes('readyok'));
+  await sleep(300);
+  assert.strictEqual(lines.filter(line => line.startsWith('bestmove')).length, 0);
+
+  engine.handleLine('stop');
+  await waitForLine(lines, /^bestmove /);
+  await sleep(300);
+
+  const bestmoves = lines.filter(line => line.startsWith('bestmove'));
+  assert.strictEqual(bestmoves.length, 1);
+  assert.match(bestmoves[0], /^bestmove [a-h][1-8][a-h][1-8]/);
+});
+
+test('without UCI_LimitStrength the bestmove is the reported best line', async () => {
+  const lines = [];
+  const engine = createUciEngine(line => lines.push(line));
+
+  engine.handleLine('setoption name OwnBook value false');
+  engine.handleLine('position startpos moves e2e4');
+  engine.handleLine('go depth 3');
+  await waitForLine(lines, /^bestmove /);
+
+  const pv = lines.filter(line => line.startsWith('info depth 3 ')).pop().split(' pv ')[1].split(' ');
+  assert.strictEqual(lines.find(line => line.startsWith('bestmove')).split(' ')[1], pv[0]);
+});
+
+test('a position with an illegal move keeps the previous position', async () => {
+  const lines = [];
+  const engine = createUciEngine(line => lines.push(line));
+
+  engine.handleLine('setoption name OwnBook value false');
+  engine.handleLine('position startpos moves e2e4');
+  engine.handleLine('position startpos moves e2e5');
+  assert.ok(lines.includes('info string illegal move e2e5'));
+  engine.handleLine('go depth 1');
+  await waitForLine(lines, /^bestmove /);
+
+  // Black is still to move after 1. e4
+  assert.match(lines.find(line => line.startsWith('bestmove')), /^bestmove [a-h][78]/);
+});